@@ -11,33 +11,193 @@ let lastFrameTime = 0;
 let frameCount = 0;
 let lastFpsUpdate = 0;
 
+// Output recording state
+let mediaRecorder = null;
+let recordedChunks = [];
+let recordingStartTime = 0;
+let recordingTimer = null;
+
+// Offline video render in progress ({ cancelled }), or null
+let videoRender = null;
+
+// Batch processing queue: { file, status, message, row } per image
+let batchJobs = [];
+let batchRunning = false;
+
+// Saved workspace the app state is autosaved to, the pending autosave, and
+// whether saving is allowed (not before the startup restore or during a load)
+let activeWorkspace = 'Default';
+let workspaceSaveTimer = null;
+let workspaceReady = false;
+
+// Settings and text sprites as shipped, captured at startup for Reset workspace
+let defaultWorkspaceSettings = null;
+let defaultTextSprites = '';
+
 // Grid configuration - calculated from first sprite dimensions
 let baseGridWidth = 256;
 let baseGridHeight = 256;
 
+// Largest quad batch addressable with 16-bit indices (4 vertices per quad)
+const MAX_QUADS_PER_CHUNK = 16384;
+
+// Offscreen export limits: tile size per GPU pass and the largest 2D canvas side
+const MAX_EXPORT_TILE_SIZE = 4096;
+const MAX_EXPORT_DIMENSION = 32767;
+
+// GIF stores dimensions as 16-bit values
+const MAX_GIF_DIMENSION = 65535;
+
+// Workspaces are kept in IndexedDB; autosave waits for changes to settle
+const WORKSPACE_DB_NAME = 'sprite-rasterizer';
+const WORKSPACE_DB_VERSION = 1;
+const WORKSPACE_SAVE_DELAY = 500;
+
+// Offline video render: seconds between keyframes (each starts a WebM cluster)
+// and the sample rate audio is resampled to for the Opus encoder
+const VIDEO_RENDER_KEYFRAME_SECONDS = 2;
+const VIDEO_RENDER_AUDIO_RATE = 48000;
+
+// Sprite tint modes (value = shader mode):
+//   multiply  - sprite color times the cell color
+//   luminance - keep the sprite's colors but shift them to the cell's luminance
+//   colorize  - cell color scaled by sprite luminance, for white/gray glyphs
+const TINT_MODES = { none: 0, multiply: 1, luminance: 2, colorize: 3 };
+
+// Rotated and flipped copies a sprite can add to the palette
+const SPRITE_VARIANTS = {
+    rot90: { label: '↻90', name: 'rotated 90°', rotate: 90, flipX: false, flipY: false },
+    rot180: { label: '↻180', name: 'rotated 180°', rotate: 180, flipX: false, flipY: false },
+    rot270: { label: '↻270', name: 'rotated 270°', rotate: 270, flipX: false, flipY: false },
+    flipH: { label: '⇋', name: 'flipped horizontally', rotate: 0, flipX: true, flipY: false },
+    flipV: { label: '⇵', name: 'flipped vertically', rotate: 0, flipX: false, flipY: true }
+};
+
+// Error diffusion kernels as [dx, dy, weight] offsets from the current cell
+const ERROR_DIFFUSION_KERNELS = {
+    'floyd-steinberg': [
+        [1, 0, 7 / 16],
+        [-1, 1, 3 / 16], [0, 1, 5 / 16], [1, 1, 1 / 16]
+    ],
+    // Atkinson only spreads 6/8 of the error, which keeps highlights and shadows clean
+    'atkinson': [
+        [1, 0, 1 / 8], [2, 0, 1 / 8],
+        [-1, 1, 1 / 8], [0, 1, 1 / 8], [1, 1, 1 / 8],
+        [0, 2, 1 / 8]
+    ],
+    'sierra': [
+        [1, 0, 5 / 32], [2, 0, 3 / 32],
+        [-2, 1, 2 / 32], [-1, 1, 4 / 32], [0, 1, 5 / 32], [1, 1, 4 / 32], [2, 1, 2 / 32],
+        [-1, 2, 2 / 32], [0, 2, 3 / 32], [1, 2, 2 / 32]
+    ]
+};
+
+// Ordered dithering threshold matrices
+const BAYER_MATRICES = {
+    bayer4: [
+        [0, 8, 2, 10],
+        [12, 4, 14, 6],
+        [3, 11, 1, 9],
+        [15, 7, 13, 5]
+    ],
+    bayer8: [
+        [0, 32, 8, 40, 2, 34, 10, 42],
+        [48, 16, 56, 24, 50, 18, 58, 26],
+        [12, 44, 4, 36, 14, 46, 6, 38],
+        [60, 28, 52, 20, 62, 30, 54, 22],
+        [3, 35, 11, 43, 1, 33, 9, 41],
+        [51, 19, 59, 27, 49, 17, 57, 25],
+        [15, 47, 7, 39, 13, 45, 5, 37],
+        [63, 31, 55, 23, 61, 29, 53, 21]
+    ]
+};
+
+// Cell lattices. Odd rows shift right by rowOffset cells and rows are rowStep cell
+// heights apart; shape masks the sprite to a hexagon (1) or diamond (2), and
+// polygon is the same outline in unit cell coordinates for vector exports.
+const GRID_LAYOUTS = {
+    square: { rowStep: 1, rowOffset: 0, shape: 0, polygon: null },
+    brick: { rowStep: 1, rowOffset: 0.5, shape: 0, polygon: null },
+    hex: {
+        rowStep: 0.75, rowOffset: 0.5, shape: 1,
+        polygon: [[0.5, 0], [1, 0.25], [1, 0.75], [0.5, 1], [0, 0.75], [0, 0.25]]
+    },
+    isometric: {
+        rowStep: 0.5, rowOffset: 0.5, shape: 2,
+        polygon: [[0.5, 0], [1, 0.5], [0.5, 1], [0, 0.5]]
+    }
+};
+
+// Edge orientations a sprite can be tagged with, in degrees counterclockwise from
+// horizontal, and the glyph shown for each in the gallery
+const EDGE_DIRECTIONS = [
+    { angle: 0, glyph: '-' },
+    { angle: 45, glyph: '/' },
+    { angle: 90, glyph: '|' },
+    { angle: 135, glyph: '\\' }
+];
+
+// Text sprite characters that are directional without a tag
+const TEXT_GLYPH_DIRECTIONS = { '-': 0, '/': 45, '|': 90, '\\': 135 };
+
+// Side of the luminance grid the structural selector compares per cell
+const STRUCTURE_GRID_SIZE = 4;
+
+// Selection modes implemented by the GPU selection pass (value = shader mode)
+const GPU_SELECTION_MODES = { color: 0, brightness: 1 };
+
 // Sprite collections by type
 let imageSprites = [];
 let textSprites = [];
 
+// Mosaic map loaded from JSON - rendered instead of a live source while set
+let importedMosaic = null;
+
+// Reference frame for background plate removal, captured from the source
+let backgroundPlate = null;
+
+// Usage report currently shown for constrained assignment
+let shownUsageReport = null;
+
+// Dropped image, video or image sequence (a FrameSource); the webcam is
+// wrapped once in webcamSource
+let fileSource = null;
+let webcamSource = null;
+
+// True while the playback scrub slider is being dragged
+let isScrubbing = false;
+
 //==============================================================================
 // DOM ELEMENT REFERENCES
 //==============================================================================
 
 // Core application elements
 const spriteGallery = document.getElementById('sprite-gallery');
+const textSpriteGallery = document.getElementById('text-sprite-gallery');
 const spriteUpload = document.getElementById('sprite-upload');
 const webcam = document.getElementById('webcam');
-const staticImage = document.getElementById('static-image');
 const outputCanvas = document.getElementById('output-canvas');
 const dropZone = document.getElementById('drop-zone');
 const sourceStatus = document.getElementById('source-status');
 const resetSource = document.getElementById('reset-source');
+const playbackControls = document.getElementById('playback-controls');
+const playPauseButton = document.getElementById('play-pause');
+const playbackScrub = document.getElementById('playback-scrub');
+const playbackTime = document.getElementById('playback-time');
+const playbackLoop = document.getElementById('playback-loop');
+const sequenceFpsContainer = document.getElementById('sequence-fps-container');
+const sequenceFps = document.getElementById('sequence-fps');
+const sequenceFpsValue = document.getElementById('sequence-fps-value');
 const showVideoOverlay = document.getElementById('show-video-overlay');
 const canvasBgColor = document.getElementById('canvas-bg-color');
 const textColor = document.getElementById('text-color');
 const spritesMessage = document.getElementById('sprites-message');
 const webcamSelect = document.getElementById('webcam-select');
 const webcamControls = document.querySelector('.webcam-controls');
+const workspaceSelect = document.getElementById('workspace-select');
+const saveWorkspaceAsButton = document.getElementById('save-workspace-as');
+const deleteWorkspaceButton = document.getElementById('delete-workspace');
+const resetWorkspaceButton = document.getElementById('reset-workspace');
 
 // Control panel elements
 const scale = document.getElementById('scale');
@@ -46,10 +206,68 @@ const gridDisplay = document.getElementById('grid-display');
 const threshold = document.getElementById('threshold');
 const thresholdValue = document.getElementById('threshold-value');
 const matchingRadios = document.querySelectorAll('input[name="matching"]');
+const tintMode = document.getElementById('tint-mode');
+const ditherMode = document.getElementById('dither-mode');
+const samplingMode = document.getElementById('sampling-mode');
+const gridLayout = document.getElementById('grid-layout');
+const adaptiveGrid = document.getElementById('adaptive-grid');
+const detailThreshold = document.getElementById('detail-threshold');
+const detailThresholdValue = document.getElementById('detail-threshold-value');
+const temporalStability = document.getElementById('temporal-stability');
+const temporalStabilityValue = document.getElementById('temporal-stability-value');
+const colorSmoothing = document.getElementById('color-smoothing');
+const colorSmoothingValue = document.getElementById('color-smoothing-value');
+const repeatRadius = document.getElementById('repeat-radius');
+const repeatRadiusValue = document.getElementById('repeat-radius-value');
+const maxUses = document.getElementById('max-uses');
+const useAllSprites = document.getElementById('use-all-sprites');
+const usageReport = document.getElementById('usage-report');
+const backgroundRemoval = document.getElementById('background-removal');
+const capturePlate = document.getElementById('capture-plate');
+const keyColor = document.getElementById('key-color');
+const keyTolerance = document.getElementById('key-tolerance');
+const keyToleranceValue = document.getElementById('key-tolerance-value');
+const keySoftness = document.getElementById('key-softness');
+const keySoftnessValue = document.getElementById('key-softness-value');
+const edgeGlyphs = document.getElementById('edge-glyphs');
+const edgeThreshold = document.getElementById('edge-threshold');
+const edgeThresholdValue = document.getElementById('edge-threshold-value');
+const addEdgeGlyphsButton = document.getElementById('add-edge-glyphs');
+const gpuSelection = document.getElementById('gpu-selection');
 const fpsCounter = document.getElementById('fps-counter');
 const spriteCount = document.getElementById('sprite-count');
 const statusText = document.getElementById('status-text');
 
+// Export elements
+const exportScale = document.getElementById('export-scale');
+const exportBakeBackground = document.getElementById('export-bake-background');
+const exportPngButton = document.getElementById('export-png');
+const recordButton = document.getElementById('record-output');
+const recordFps = document.getElementById('record-fps');
+const recordBitrate = document.getElementById('record-bitrate');
+const recordingTime = document.getElementById('recording-time');
+const gifSeconds = document.getElementById('gif-seconds');
+const gifFps = document.getElementById('gif-fps');
+const gifSweep = document.getElementById('gif-sweep');
+const exportGifButton = document.getElementById('export-gif');
+const renderVideoButton = document.getElementById('render-video');
+const cancelRenderButton = document.getElementById('cancel-render');
+const batchProcessButton = document.getElementById('batch-process');
+const batchModal = document.getElementById('batch-modal');
+const batchDropZone = document.getElementById('batch-drop-zone');
+const batchFileList = document.getElementById('batch-file-list');
+const batchIncludeMaps = document.getElementById('batch-include-maps');
+const startBatchButton = document.getElementById('start-batch');
+const clearBatchButton = document.getElementById('clear-batch');
+const closeBatchButton = document.getElementById('close-batch');
+const exportSvgButton = document.getElementById('export-svg');
+const exportMapButton = document.getElementById('export-map');
+const importMapButton = document.getElementById('import-map');
+const importMapInput = document.getElementById('import-map-input');
+const textExportFormat = document.getElementById('text-export-format');
+const copyTextExportButton = document.getElementById('copy-text-export');
+const downloadTextExportButton = document.getElementById('download-text-export');
+
 //==============================================================================
 // WEBCAM MIRRORING UTILITIES
 //==============================================================================
@@ -119,6 +337,303 @@ function setupVideoMirroringObserver() {
     });
 }
 
+//==============================================================================
+// FRAME SOURCES
+//==============================================================================
+
+// Anything the rasterizer can sample. Subclasses wrap a drawable `element` and
+// provide:
+//   width / height - size of the current frame in pixels
+//   mirrored       - frames are flipped horizontally when drawn (the webcam)
+//   isLive         - frames change over time, as opposed to a still image
+//   isReady()      - a frame is available to draw
+//   drawFrame(ctx, width, height) - draw the current frame scaled to width x height
+// Sources with a timeline (video files, image sequences) set hasTimeline and
+// implement duration, currentTime, paused, loop, play(), pause(), seek(time) and
+// seekExact(time), which resolves once the frame at that time can be drawn.
+class FrameSource {
+    constructor(element) {
+        this.element = element;
+        this.mirrored = false;
+        this.isLive = false;
+        this.hasTimeline = false;
+    }
+    
+    get width() {
+        return this.element.width;
+    }
+    
+    get height() {
+        return this.element.height;
+    }
+    
+    isReady() {
+        return this.width > 0 && this.height > 0;
+    }
+    
+    drawFrame(ctx, width, height) {
+        ctx.drawImage(this.element, 0, 0, width, height);
+    }
+    
+    // Draw the current frame over the whole canvas, mirrored if the source is
+    draw(canvas) {
+        if (this.mirrored) {
+            const mirroredCtx = createMirroredCanvasContext(this.element, canvas);
+            this.drawFrame(mirroredCtx, canvas.width, canvas.height);
+            restoreCanvasContext(mirroredCtx);
+        } else {
+            this.drawFrame(canvas.getContext('2d'), canvas.width, canvas.height);
+        }
+    }
+    
+    // Release object URLs, decoded frames and playback
+    dispose() {}
+}
+
+// The live camera feed in the #webcam element
+class WebcamSource extends FrameSource {
+    constructor(video) {
+        super(video);
+        this.mirrored = true;
+        this.isLive = true;
+    }
+    
+    get width() {
+        return this.element.videoWidth;
+    }
+    
+    get height() {
+        return this.element.videoHeight;
+    }
+    
+    isReady() {
+        return this.element.readyState >= 2 && this.element.videoWidth > 0;
+    }
+}
+
+// A still HTMLImageElement or ImageBitmap
+class ImageSource extends FrameSource {
+    get width() {
+        return this.element.naturalWidth || this.element.width;
+    }
+    
+    get height() {
+        return this.element.naturalHeight || this.element.height;
+    }
+    
+    dispose() {
+        if (typeof ImageBitmap !== 'undefined' && this.element instanceof ImageBitmap) {
+            this.element.close();
+        }
+    }
+}
+
+// An HTMLCanvasElement or OffscreenCanvas, e.g. a generative sketch or another
+// renderer's output. Treated as animated unless `live` is false.
+class CanvasSource extends FrameSource {
+    constructor(canvas, live = true) {
+        super(canvas);
+        this.isLive = live;
+    }
+}
+
+// An uploaded video file (MP4, WebM, ...) played muted in a detached element
+class VideoFileSource extends FrameSource {
+    constructor(url) {
+        const video = document.createElement('video');
+        video.muted = true;
+        video.loop = true;
+        video.playsInline = true;
+        video.src = url;
+        super(video);
+        
+        this.url = url;
+        this.isLive = true;
+        this.hasTimeline = true;
+    }
+    
+    // Resolves once the first frame is decoded, rejects if the file can't be played
+    load() {
+        return new Promise((resolve, reject) => {
+            this.element.addEventListener('loadeddata', () => resolve(this), { once: true });
+            this.element.addEventListener('error', () => reject(new Error('Unsupported video format')), { once: true });
+        });
+    }
+    
+    get width() {
+        return this.element.videoWidth;
+    }
+    
+    get height() {
+        return this.element.videoHeight;
+    }
+    
+    isReady() {
+        return this.element.readyState >= 2 && this.element.videoWidth > 0;
+    }
+    
+    get duration() {
+        return this.element.duration || 0;
+    }
+    
+    get currentTime() {
+        return this.element.currentTime;
+    }
+    
+    get paused() {
+        return this.element.paused;
+    }
+    
+    get loop() {
+        return this.element.loop;
+    }
+    
+    set loop(loop) {
+        this.element.loop = loop;
+    }
+    
+    play() {
+        return this.element.play();
+    }
+    
+    pause() {
+        this.element.pause();
+    }
+    
+    seek(time) {
+        this.element.currentTime = Math.min(this.duration, Math.max(0, time));
+    }
+    
+    // Also rejects if the video is disposed mid-seek, which would never fire 'seeked'
+    seekExact(time) {
+        return new Promise((resolve, reject) => {
+            const video = this.element;
+            const finish = (error) => {
+                video.removeEventListener('seeked', onSeeked);
+                video.removeEventListener('error', onFailed);
+                video.removeEventListener('emptied', onFailed);
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve();
+                }
+            };
+            const onSeeked = () => finish(null);
+            const onFailed = () => finish(new Error('Video seek failed'));
+            
+            video.addEventListener('seeked', onSeeked);
+            video.addEventListener('error', onFailed);
+            video.addEventListener('emptied', onFailed);
+            this.seek(time);
+        });
+    }
+    
+    dispose() {
+        this.element.pause();
+        this.element.removeAttribute('src');
+        this.element.load();
+        URL.revokeObjectURL(this.url);
+    }
+}
+
+// Numbered still images (ImageBitmaps) played back at a fixed frame rate
+class ImageSequenceSource extends FrameSource {
+    constructor(frames, fps) {
+        super(frames[0]);
+        this.frames = frames;
+        this.fps = fps;
+        this.isLive = true;
+        this.hasTimeline = true;
+        this.loop = true;
+        
+        // Playback clock: position at the last play/pause/seek and when that was
+        this.position = 0;
+        this.startedAt = null;
+    }
+    
+    get duration() {
+        return this.frames.length / this.fps;
+    }
+    
+    get currentTime() {
+        if (this.startedAt === null) {
+            return this.position;
+        }
+        
+        const time = this.position + (performance.now() - this.startedAt) / 1000;
+        if (time < this.duration) {
+            return time;
+        }
+        if (this.loop) {
+            return time % this.duration;
+        }
+        
+        // Held on the last frame until tick() stops the clock
+        return this.duration - 1 / this.fps;
+    }
+    
+    get paused() {
+        return this.startedAt === null;
+    }
+    
+    setFps(fps) {
+        this.position = this.currentTime;
+        this.fps = fps;
+        if (this.startedAt !== null) {
+            this.startedAt = performance.now();
+        }
+    }
+    
+    play() {
+        if (this.startedAt === null) {
+            // Restart from the beginning when play is pressed on the last frame
+            if (!this.loop && this.position >= this.duration - 1 / this.fps) {
+                this.position = 0;
+            }
+            this.startedAt = performance.now();
+        }
+        return Promise.resolve();
+    }
+    
+    pause() {
+        this.position = this.currentTime;
+        this.startedAt = null;
+    }
+    
+    seek(time) {
+        this.position = Math.min(this.duration - 1 / this.fps, Math.max(0, time));
+        if (this.startedAt !== null) {
+            this.startedAt = performance.now();
+        }
+    }
+    
+    seekExact(time) {
+        this.seek(time);
+        return Promise.resolve();
+    }
+    
+    // Stop the clock on the last frame once a non-looping sequence has played through
+    tick() {
+        if (this.startedAt === null || this.loop) return;
+        
+        if (this.position + (performance.now() - this.startedAt) / 1000 >= this.duration) {
+            this.position = this.duration - 1 / this.fps;
+            this.startedAt = null;
+        }
+    }
+    
+    // Frames are drawn at the first frame's size (element) whatever their own size
+    drawFrame(ctx, width, height) {
+        this.tick();
+        const index = Math.min(this.frames.length - 1, Math.floor(this.currentTime * this.fps));
+        ctx.drawImage(this.frames[index], 0, 0, width, height);
+    }
+    
+    dispose() {
+        this.frames.forEach(frame => frame.close());
+    }
+}
+
 //==============================================================================
 // INITIALIZATION AND COMPATIBILITY
 //==============================================================================
@@ -176,11 +691,14 @@ async function init() {
         updateSpriteGallery();
         updateGridDisplay();
         
-        // Initialize text sprites from default value
+        // Restore the saved workspace, or start from the default text sprites
         const textInput = document.getElementById('text-sprites');
-        if (textInput.value) {
-            handleTextSpritesInput({ target: textInput });
+        defaultWorkspaceSettings = getCurrentSettings();
+        defaultTextSprites = textInput.value;
+        if (!await restoreWorkspace() && textInput.value) {
+            await handleTextSpritesInput({ target: textInput });
         }
+        workspaceReady = true;
         
         statusText.textContent = 'Ready - Add at least 2 characters or sprite images to begin';
         
@@ -486,9 +1004,57 @@ function initEventListeners() {
         radio.addEventListener('change', updateMatchingAlgorithm);
     });
     
+    // Grid layout
+    gridLayout.addEventListener('change', updateGridLayout);
+    
+    // Adaptive quadtree mode
+    adaptiveGrid.addEventListener('change', updateAdaptiveGrid);
+    detailThreshold.addEventListener('input', updateAdaptiveGrid);
+    
+    // Cell sampling mode
+    samplingMode.addEventListener('change', updateSamplingMode);
+    
+    // Dithering mode
+    ditherMode.addEventListener('change', updateDitherMode);
+    
+    // Temporal coherence for live video
+    temporalStability.addEventListener('input', updateTemporalCoherence);
+    colorSmoothing.addEventListener('input', updateTemporalCoherence);
+    
+    // Background removal
+    backgroundRemoval.addEventListener('change', updateBackgroundRemoval);
+    keyColor.addEventListener('input', updateBackgroundRemoval);
+    keyTolerance.addEventListener('input', updateBackgroundRemoval);
+    keySoftness.addEventListener('input', updateBackgroundRemoval);
+    capturePlate.addEventListener('click', captureBackgroundPlate);
+    
+    // Edge glyph mode
+    edgeGlyphs.addEventListener('change', updateEdgeMode);
+    edgeThreshold.addEventListener('input', updateEdgeMode);
+    addEdgeGlyphsButton.addEventListener('click', addEdgeGlyphSprites);
+    
+    // Photomosaic constraints
+    repeatRadius.addEventListener('input', updateConstraints);
+    maxUses.addEventListener('change', updateConstraints);
+    useAllSprites.addEventListener('change', updateConstraints);
+    
+    // Sprite tint mode
+    tintMode.addEventListener('change', updateTintMode);
+    
+    // GPU sprite selection toggle
+    gpuSelection.addEventListener('change', updateGpuSelection);
+    
     // Source reset
     resetSource.addEventListener('click', resetToWebcam);
     
+    // Video file and image sequence playback
+    playPauseButton.addEventListener('click', togglePlayback);
+    playbackScrub.addEventListener('pointerdown', () => isScrubbing = true);
+    playbackScrub.addEventListener('change', () => isScrubbing = false);
+    playbackScrub.addEventListener('input', seekPlayback);
+    playbackLoop.addEventListener('change', updatePlaybackLoop);
+    sequenceFps.addEventListener('input', updateSequenceFps);
+    
     // Video overlay toggle
     // showVideoOverlay.addEventListener('change', toggleVideoOverlay);
     
@@ -503,6 +1069,29 @@ function initEventListeners() {
     // Drop zone for static images
     setupDropZone();
     
+    // Offscreen PNG export
+    exportPngButton.addEventListener('click', exportPNG);
+    
+    // WebM recording
+    recordButton.addEventListener('click', toggleRecording);
+    
+    // Animated GIF export
+    exportGifButton.addEventListener('click', exportGIF);
+    renderVideoButton.addEventListener('click', renderVideoFile);
+    cancelRenderButton.addEventListener('click', cancelVideoRender);
+    
+    // Vector export
+    exportSvgButton.addEventListener('click', exportSVG);
+    
+    // Mosaic map JSON export/import
+    exportMapButton.addEventListener('click', exportMosaicMap);
+    importMapButton.addEventListener('click', () => importMapInput.click());
+    importMapInput.addEventListener('change', handleMosaicMapImport);
+    
+    // Character grid export (text sprites only)
+    copyTextExportButton.addEventListener('click', copyTextExport);
+    downloadTextExportButton.addEventListener('click', downloadTextExport);
+    
     // Canvas context menu (right-click save)
     outputCanvas.addEventListener('contextmenu', (e) => {
         // Allow default context menu for save functionality
@@ -512,6 +1101,21 @@ function initEventListeners() {
     document.getElementById('capture-sprite').addEventListener('click', handleSpriteCapture);
     setupCaptureModal();
     
+    // Batch processing
+    setupBatchModal();
+    
+    // Workspaces; any control change is autosaved
+    workspaceSelect.addEventListener('change', () => switchWorkspace(workspaceSelect.value));
+    saveWorkspaceAsButton.addEventListener('click', saveWorkspaceAs);
+    deleteWorkspaceButton.addEventListener('click', deleteWorkspace);
+    resetWorkspaceButton.addEventListener('click', resetWorkspace);
+    document.querySelector('.controls').addEventListener('change', scheduleWorkspaceSave);
+    document.querySelector('.sidebar').addEventListener('change', (e) => {
+        if (e.target !== workspaceSelect) {
+            scheduleWorkspaceSave();
+        }
+    });
+    
     // Clear all sprites
     document.getElementById('clear-all-sprites').addEventListener('click', clearAllSprites);
     
@@ -521,8 +1125,11 @@ function initEventListeners() {
     // Set up observer to automatically mirror any new video elements
     setupVideoMirroringObserver();
     
-    // Text sprites input
-    document.getElementById('text-sprites').addEventListener('input', handleTextSpritesInput);
+    // Text sprites input (editing the palette invalidates an imported mosaic map)
+    document.getElementById('text-sprites').addEventListener('input', (e) => {
+        clearImportedMosaic();
+        handleTextSpritesInput(e);
+    });
     
     // Emoji picker
     setupEmojiPicker();
@@ -550,18 +1157,18 @@ function setupDropZone() {
         document.addEventListener(eventName, () => dropZone.classList.remove('active'), false);
     });
     
-    document.addEventListener('drop', handleImageDrop, false);
+    document.addEventListener('drop', handleSourceDrop, false);
     
     // Click to browse functionality
     dropZone.addEventListener('click', (e) => {
         if (!e.target.closest('.drop-zone-remove')) {
             const fileInput = document.createElement('input');
             fileInput.type = 'file';
-            fileInput.accept = 'image/*';
+            fileInput.accept = 'image/*,video/*';
+            fileInput.multiple = true;
             fileInput.onchange = (e) => {
-                const file = e.target.files[0];
-                if (file) {
-                    handleImageFile(file);
+                if (e.target.files.length > 0) {
+                    handleSourceFiles([...e.target.files]);
                 }
             };
             fileInput.click();
@@ -590,54 +1197,138 @@ function setupDropZone() {
     dropZone.clearPreview = clearDropZonePreview;
 }
 
-async function handleImageDrop(e) {
+function isImageFile(file) {
+    return file.type.startsWith('image/') || file.name.toLowerCase().endsWith('.heic');
+}
+
+async function handleSourceDrop(e) {
     const files = [...e.dataTransfer.files];
-    const imageFile = files.find(file => file.type.startsWith('image/') || file.name.toLowerCase().endsWith('.heic'));
+    if (files.length === 0) return;
     
-    if (imageFile) {
-        await handleImageFile(imageFile);
+    // Images dropped while the batch dialog is open are queued instead
+    if (batchModal.classList.contains('active')) {
+        addBatchFiles(files);
+    } else {
+        await handleSourceFiles(files);
     }
 }
 
-async function handleImageFile(file) {
+// A video file plays as a video, several images as a numbered sequence and a
+// single image as a still
+async function handleSourceFiles(files) {
+    const videoFile = files.find(file => file.type.startsWith('video/'));
+    const imageFiles = files.filter(isImageFile);
+    
     try {
-        await loadStaticImage(file);
+        if (videoFile) {
+            await loadVideoFile(videoFile);
+        } else if (imageFiles.length > 1) {
+            await loadImageSequence(imageFiles);
+        } else if (imageFiles.length === 1) {
+            await loadStaticImage(imageFiles[0]);
+        }
     } catch (error) {
-        showError('Failed to load image: ' + error.message);
+        showError('Failed to load source: ' + error.message);
     }
 }
 
 async function loadStaticImage(file) {
+    const convertedFile = await convertHEIC(file);
+    const imageUrl = URL.createObjectURL(convertedFile);
+    
     try {
-        const convertedFile = await convertHEIC(file);
-        const imageUrl = URL.createObjectURL(convertedFile);
-        
-        staticImage.src = imageUrl;
-        staticImage.onload = () => {
-            webcam.classList.add('hidden');
-            // staticImage.classList.remove('hidden');
-            // sourceStatus.textContent = '📷 Static Image';
-            resetSource.classList.remove('hidden');
-            
-            // Show thumbnail preview in drop zone
-            if (dropZone.showPreview) {
-                dropZone.showPreview(imageUrl);
-            }
-            
-            URL.revokeObjectURL(imageUrl);
-        };
+        const image = new Image();
+        image.src = imageUrl;
+        await image.decode();
+        setFileSource(new ImageSource(image));
+    } finally {
+        URL.revokeObjectURL(imageUrl);
+    }
+}
+
+async function loadVideoFile(file) {
+    const source = new VideoFileSource(URL.createObjectURL(file));
+    
+    try {
+        await source.load();
+    } catch (error) {
+        source.dispose();
+        throw error;
+    }
+    
+    setFileSource(source);
+    source.play().catch(() => {});
+}
+
+// Frames are ordered by the numbers in their names, so frame_2 comes before frame_10
+async function loadImageSequence(files) {
+    const sortedFiles = [...files].sort((a, b) =>
+        a.name.localeCompare(b.name, undefined, { numeric: true }));
+    
+    const frames = [];
+    try {
+        for (const file of sortedFiles) {
+            frames.push(await createImageBitmap(await convertHEIC(file)));
+        }
     } catch (error) {
-        showError('Failed to load image: ' + error.message);
+        frames.forEach(frame => frame.close());
+        throw error;
+    }
+    
+    const source = new ImageSequenceSource(frames, parseInt(sequenceFps.value));
+    setFileSource(source);
+    source.play();
+    showSuccess(`Loaded ${frames.length}-frame image sequence`);
+}
+
+// Replace the current file source and switch away from the webcam
+function setFileSource(source) {
+    if (fileSource) {
+        fileSource.dispose();
     }
+    fileSource = source;
+    
+    clearImportedMosaic();
+    clearBackgroundPlate();
+    webcam.classList.add('hidden');
+    resetSource.classList.remove('hidden');
+    
+    // Show thumbnail preview in drop zone
+    if (dropZone.showPreview) {
+        dropZone.showPreview(createSourceThumbnail(source));
+    }
+    
+    if (source.hasTimeline) {
+        source.loop = playbackLoop.checked;
+        playbackScrub.value = 0;
+        sequenceFpsContainer.classList.toggle('hidden', !(source instanceof ImageSequenceSource));
+        playbackControls.classList.remove('hidden');
+    } else {
+        playbackControls.classList.add('hidden');
+    }
+}
+
+function createSourceThumbnail(source) {
+    const canvas = document.createElement('canvas');
+    const { width, height } = getSourceDimensions(source);
+    canvas.width = 120;
+    canvas.height = Math.max(1, Math.round(120 * height / width));
+    source.draw(canvas);
+    return canvas.toDataURL('image/jpeg', 0.8);
 }
 
 function resetToWebcam() {
-    // Show webcam, hide static image source
+    clearImportedMosaic();
+    clearBackgroundPlate();
+    
+    // Show webcam, drop the file source
     webcam.classList.remove('hidden');
-    // staticImage.classList.add('hidden');
-    // sourceStatus.textContent = '🎥 Webcam';
     resetSource.classList.add('hidden'); // Hide reset button when using webcam
-    staticImage.src = '';
+    playbackControls.classList.add('hidden');
+    if (fileSource) {
+        fileSource.dispose();
+        fileSource = null;
+    }
     
     // Clear thumbnail preview in drop zone
     if (dropZone.clearPreview) {
@@ -648,10 +1339,75 @@ function resetToWebcam() {
     mirrorAllWebcamElements();
 }
 
+function togglePlayback() {
+    if (!fileSource || !fileSource.hasTimeline) return;
+    
+    if (fileSource.paused) {
+        fileSource.play().catch(error => showError('Playback failed: ' + error.message));
+    } else {
+        fileSource.pause();
+    }
+    updatePlaybackControls();
+}
+
+function seekPlayback() {
+    if (!fileSource || !fileSource.hasTimeline) return;
+    
+    fileSource.seek(parseFloat(playbackScrub.value) * fileSource.duration);
+    updatePlaybackControls();
+}
+
+function updatePlaybackLoop() {
+    if (fileSource && fileSource.hasTimeline) {
+        fileSource.loop = playbackLoop.checked;
+    }
+}
+
+function updateSequenceFps() {
+    sequenceFpsValue.textContent = sequenceFps.value;
+    if (fileSource instanceof ImageSequenceSource) {
+        fileSource.setFps(parseInt(sequenceFps.value));
+    }
+}
+
+function formatPlaybackTime(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    const secs = Math.floor(seconds % 60);
+    return `${minutes}:${secs.toString().padStart(2, '0')}`;
+}
+
+// Sync play button, scrub position and time label with the file source
+function updatePlaybackControls() {
+    if (!fileSource || !fileSource.hasTimeline) return;
+    
+    const { currentTime, duration } = fileSource;
+    playPauseButton.textContent = fileSource.paused ? '▶' : '⏸';
+    if (!isScrubbing && duration > 0) {
+        playbackScrub.value = currentTime / duration;
+    }
+    playbackTime.textContent = `${formatPlaybackTime(currentTime)} / ${formatPlaybackTime(duration)}`;
+}
+
 
 function updateCanvasBackground(e) {
     const color = e.target.value;
     outputCanvas.style.backgroundColor = color;
+    
+    // Sprite averages depend on the background they are composited over. Dragging
+    // the picker only previews the color; the atlas is rebuilt once it is committed.
+    if (rasterizer) {
+        if (rasterizer.canvasFill) {
+            rasterizer.setCanvasFill(color);
+        }
+        if (e.type === 'input') return;
+        
+        rasterizer.setBackgroundColor(color);
+        if (rasterizer.atlas) {
+            rasterizer.updateAtlas(getAllSprites()).catch(error => {
+                showError('Failed to update texture atlas: ' + error.message);
+            });
+        }
+    }
 }
 
 function updateTextColor() {
@@ -825,6 +1581,16 @@ async function convertHEIC(file) {
     return file;
 }
 
+// Parse a #rrggbb color input value into 0-255 channels
+function hexToRgb(hex) {
+    const value = parseInt(hex.replace('#', ''), 16);
+    return {
+        r: (value >> 16) & 255,
+        g: (value >> 8) & 255,
+        b: value & 255
+    };
+}
+
 //==============================================================================
 // SPRITE MANAGEMENT
 //==============================================================================
@@ -832,7 +1598,7 @@ async function handleSpriteUpload(e) {
     const files = [...e.target.files];
     
     for (const file of files) {
-        if (sprites.length >= 32) {
+        if (getPaletteSize() >= 32) {
             showError('Maximum 32 sprites allowed');
             break;
         }
@@ -852,7 +1618,23 @@ async function handleSpriteUpload(e) {
     e.target.value = '';
 }
 
+// Add an image sprite and update the gallery and atlas. An imported mosaic's
+// indices refer to the palette it was saved with, and image sprites come first
+// in it, so the map is dropped.
 async function addSprite(file) {
+    const sprite = await loadImageSprite(file);
+    clearImportedMosaic();
+    updateSpriteGallery();
+    updateTotalSpriteCount();
+    checkRenderingConditions();
+    return sprite;
+}
+
+// Load an image file as a sprite normalized to the first sprite's size and append
+// it to imageSprites. Callers adding several sprites update the UI and atlas once.
+// With `palette`, the sprite is normalized to and appended to that list instead,
+// for palettes that are decoded before they replace the current one.
+async function loadImageSprite(file, palette = null) {
     const convertedFile = await convertHEIC(file);
     
     return new Promise((resolve, reject) => {
@@ -861,13 +1643,14 @@ async function addSprite(file) {
             const sprite = {
                 id: Date.now() + Math.random(),
                 image: img,
+                blob: convertedFile, // kept for workspace persistence
                 name: file.name,
                 width: img.width,
                 height: img.height
             };
             
             // If this is the first sprite overall, set dimensions for all sprites
-            const allSprites = getAllSprites();
+            const allSprites = palette || getAllSprites();
             if (allSprites.length === 0) {
                 sprite.normalizedWidth = img.width;
                 sprite.normalizedHeight = img.height;
@@ -884,12 +1667,8 @@ async function addSprite(file) {
                 }
             }
             
-            imageSprites.push(sprite);
-            updateSpriteGallery();
-            updateTotalSpriteCount();
-            checkRenderingConditions();
-            
-            resolve();
+            (palette || imageSprites).push(sprite);
+            resolve(sprite);
         };
         
         img.onerror = () => reject(new Error('Invalid image format'));
@@ -917,7 +1696,7 @@ function updateDefaultGridSize() {
 function updateSpriteGallery() {
     spriteGallery.innerHTML = '';
     
-    // Add existing image sprites only (not text sprites)
+    // Image sprites, with delete and edge direction controls
     imageSprites.forEach(sprite => {
         const item = document.createElement('div');
         item.className = 'sprite-item';
@@ -936,11 +1715,43 @@ function updateSpriteGallery() {
         };
         item.appendChild(deleteBtn);
         
+        // Edge direction tag for edge glyph mode; click cycles through the angles
+        const tag = EDGE_DIRECTIONS.find(direction => direction.angle === sprite.direction);
+        const directionBtn = document.createElement('button');
+        directionBtn.className = 'direction-toggle';
+        directionBtn.classList.toggle('active', !!tag);
+        directionBtn.textContent = tag ? tag.glyph : '∠';
+        directionBtn.title = tag ? `Edge sprite at ${tag.angle}° (click to change)` : 'Tag as an edge sprite';
+        directionBtn.onclick = (e) => {
+            e.stopPropagation();
+            cycleSpriteDirection(sprite);
+        };
+        item.appendChild(directionBtn);
+        
+        item.appendChild(createVariantBar(sprite));
         spriteGallery.appendChild(item);
+        appendVariantItems(spriteGallery, sprite);
+    });
+    
+    // Text sprites are edited in the text input; their tiles only carry variant toggles
+    textSpriteGallery.innerHTML = '';
+    textSprites.forEach(sprite => {
+        const item = document.createElement('div');
+        item.className = 'sprite-item';
+        item.title = getSpriteLabel(sprite);
+        
+        const img = document.createElement('img');
+        img.src = sprite.image.src;
+        item.appendChild(img);
+        
+        item.appendChild(createVariantBar(sprite));
+        textSpriteGallery.appendChild(item);
+        appendVariantItems(textSpriteGallery, sprite);
     });
+    textSpriteGallery.classList.toggle('hidden', textSprites.length === 0);
     
-    // Add empty slots up to 32
-    for (let i = imageSprites.length; i < Math.min(32, imageSprites.length + 1); i++) {
+    // Add an empty slot while there is room left in the palette
+    if (getPaletteSize() < 32) {
         const item = document.createElement('div');
         item.className = 'sprite-item empty';
         item.innerHTML = '+';
@@ -956,9 +1767,69 @@ function updateSpriteGallery() {
     }, 10);
 }
 
-function updateSpritesMessage() {
-    const totalSprites = getAllSprites();
-    // Show error message only when there are fewer than 2 sprites total
+// Name shown for a sprite: the character of a text sprite, else the file name
+function getSpriteLabel(sprite) {
+    return getSpriteCharacter(sprite) || sprite.name;
+}
+
+// Text sprites export as characters only while none of them is rotated or flipped
+function isPlainTextSprite(sprite) {
+    return sprite.isTextSprite && (sprite.variants || []).length === 0;
+}
+
+// Per-sprite toggles for rotated/flipped variants
+function createVariantBar(sprite) {
+    const variantBar = document.createElement('div');
+    variantBar.className = 'sprite-variants';
+    Object.entries(SPRITE_VARIANTS).forEach(([key, variant]) => {
+        const toggle = document.createElement('button');
+        toggle.className = 'variant-toggle';
+        toggle.classList.toggle('active', (sprite.variants || []).includes(key));
+        toggle.textContent = variant.label;
+        toggle.title = `Add a copy ${variant.name}`;
+        toggle.onclick = (e) => {
+            e.stopPropagation();
+            toggleSpriteVariant(sprite, key);
+        };
+        variantBar.appendChild(toggle);
+    });
+    return variantBar;
+}
+
+// Each enabled variant follows its parent, labelled with it
+function appendVariantItems(gallery, sprite) {
+    const label = getSpriteLabel(sprite);
+    (sprite.variants || []).forEach(key => {
+        const variantItem = document.createElement('div');
+        variantItem.className = 'sprite-item variant';
+        variantItem.title = `${label} (${SPRITE_VARIANTS[key].name})`;
+        
+        const variantImg = document.createElement('img');
+        variantImg.src = sprite.image.src;
+        variantImg.style.transform = getVariantCssTransform(key);
+        variantItem.appendChild(variantImg);
+        
+        const parentLabel = document.createElement('div');
+        parentLabel.className = 'sprite-parent';
+        parentLabel.textContent = `${SPRITE_VARIANTS[key].label} ${label}`;
+        variantItem.appendChild(parentLabel);
+        
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'sprite-delete';
+        removeBtn.innerHTML = '×';
+        removeBtn.onclick = (e) => {
+            e.stopPropagation();
+            toggleSpriteVariant(sprite, key);
+        };
+        variantItem.appendChild(removeBtn);
+        
+        gallery.appendChild(variantItem);
+    });
+}
+
+function updateSpritesMessage() {
+    const totalSprites = getAllSprites();
+    // Show error message only when there are fewer than 2 sprites total
     if (totalSprites.length < 2) {
         // spritesMessage.innerHTML = '<div class="error-message">Add at least 2 sprites</div>';
     } else {
@@ -993,21 +1864,13 @@ function createDefaultTestPattern() {
         ctx.fillRect(x, y, size, size);
     }
     
-    // Convert to image and set as static source
-    canvas.toBlob((blob) => {
-        const url = URL.createObjectURL(blob);
-        staticImage.src = url;
-        staticImage.onload = () => {
-            webcam.classList.toggle('hidden');
-            // staticImage.classList.toggle('hidden');
-            // sourceStatus.textContent = '🎨 Test Pattern';
-            resetSource.classList.toggle('hidden');
-            URL.revokeObjectURL(url);
-        };
-    });
+    // Use as a still source
+    setFileSource(new CanvasSource(canvas, false));
 }
 
 function removeImageSprite(id) {
+    // An imported mosaic's indices refer to the palette it was saved with
+    clearImportedMosaic();
     imageSprites = imageSprites.filter(sprite => sprite.id !== id);
     updateSpriteGallery();
     updateTotalSpriteCount();
@@ -1020,11 +1883,124 @@ function getAllSprites() {
     return [...imageSprites, ...textSprites];
 }
 
+// Every palette entry: each sprite followed by its enabled variants. Atlas
+// indices (and so sprite indices everywhere) refer to this list.
+function getPaletteEntries(spriteList = getAllSprites()) {
+    const entries = [];
+    for (const sprite of spriteList) {
+        entries.push({ sprite, variant: null });
+        for (const variant of sprite.variants || []) {
+            entries.push({ sprite, variant });
+        }
+    }
+    return entries;
+}
+
+// Palette size including variants; this is what the 32 sprite limit applies to
+function getPaletteSize(spriteList = getAllSprites()) {
+    return spriteList.reduce((count, sprite) => count + 1 + (sprite.variants || []).length, 0);
+}
+
+// Draw a sprite image into (x, y, width, height) with a SPRITE_VARIANTS transform
+function drawSpriteVariant(ctx, image, variant, x, y, width, height) {
+    const transform = variant ? SPRITE_VARIANTS[variant] : null;
+    if (!transform) {
+        ctx.drawImage(image, x, y, width, height);
+        return;
+    }
+    
+    // Quarter turns swap the axes, so draw at the swapped size to fill the cell once rotated
+    const quarterTurn = transform.rotate % 180 !== 0;
+    const drawWidth = quarterTurn ? height : width;
+    const drawHeight = quarterTurn ? width : height;
+    
+    ctx.save();
+    ctx.translate(x + width / 2, y + height / 2);
+    ctx.rotate(transform.rotate * Math.PI / 180);
+    ctx.scale(transform.flipX ? -1 : 1, transform.flipY ? -1 : 1);
+    ctx.drawImage(image, -drawWidth / 2, -drawHeight / 2, drawWidth, drawHeight);
+    ctx.restore();
+}
+
+function getVariantCssTransform(variant) {
+    const { rotate, flipX, flipY } = SPRITE_VARIANTS[variant];
+    return `rotate(${rotate}deg) scale(${flipX ? -1 : 1}, ${flipY ? -1 : 1})`;
+}
+
+// Turn a sprite variant on or off. The palette changes, so an imported mosaic's
+// indices no longer apply.
+function toggleSpriteVariant(sprite, variant) {
+    const variants = sprite.variants || [];
+    
+    if (variants.includes(variant)) {
+        sprite.variants = variants.filter(v => v !== variant);
+    } else {
+        if (getPaletteSize() >= 32) {
+            showError('Maximum 32 sprites allowed (variants count as sprites)');
+            return;
+        }
+        // Keep variants in SPRITE_VARIANTS order so palette indices are stable
+        sprite.variants = Object.keys(SPRITE_VARIANTS).filter(v => v === variant || variants.includes(v));
+    }
+    
+    clearImportedMosaic();
+    updateSpriteGallery();
+    updateTotalSpriteCount();
+    checkRenderingConditions();
+}
+
+// The character a text sprite was rendered from (carried in its char-… name)
+function getSpriteCharacter(sprite) {
+    return sprite.isTextSprite ? sprite.name.slice('char-'.length) : null;
+}
+
+// Edge orientation of a sprite: its gallery tag, or the line a text glyph draws.
+// null for sprites that aren't directional.
+function getSpriteDirection(sprite) {
+    if (sprite.direction !== undefined && sprite.direction !== null) {
+        return sprite.direction;
+    }
+    const character = getSpriteCharacter(sprite);
+    return character in TEXT_GLYPH_DIRECTIONS ? TEXT_GLYPH_DIRECTIONS[character] : null;
+}
+
+// A palette entry's orientation once its variant is applied (quarter turns are
+// clockwise on screen, and a single mirror reverses the angle)
+function getEntryDirection(entry) {
+    const direction = getSpriteDirection(entry.sprite);
+    const variant = entry.variant ? SPRITE_VARIANTS[entry.variant] : null;
+    if (direction === null || !variant) {
+        return direction;
+    }
+    
+    let angle = direction - variant.rotate;
+    if (variant.flipX !== variant.flipY) {
+        angle = -angle;
+    }
+    return ((angle % 180) + 180) % 180;
+}
+
+// Step an image sprite's tag through untagged and each EDGE_DIRECTIONS angle
+function cycleSpriteDirection(sprite) {
+    const current = EDGE_DIRECTIONS.findIndex(direction => direction.angle === sprite.direction);
+    const next = EDGE_DIRECTIONS[current + 1];
+    sprite.direction = next ? next.angle : null;
+    updateSpriteGallery();
+    scheduleWorkspaceSave();
+}
+
 // Helper function to update total sprite count display
 function updateTotalSpriteCount() {
     const totalSprites = getAllSprites();
-    spriteCount.textContent = totalSprites.length;
+    spriteCount.textContent = getPaletteSize(totalSprites);
     sprites = totalSprites; // Keep legacy sprites array updated for compatibility
+    
+    // The mosaic is only a character grid when every sprite is an unrotated text sprite
+    const textOnly = totalSprites.length > 0 && totalSprites.every(isPlainTextSprite);
+    copyTextExportButton.disabled = !textOnly;
+    downloadTextExportButton.disabled = !textOnly;
+    
+    scheduleWorkspaceSave();
 }
 
 function clearAllSprites() {
@@ -1036,6 +2012,7 @@ function clearAllSprites() {
     
     const confirmed = confirm(`Clear all ${totalSprites.length} sprites? This cannot be undone.`);
     if (confirmed) {
+        clearImportedMosaic();
         imageSprites = [];
         textSprites = [];
         sprites = [];
@@ -1053,10 +2030,14 @@ function clearAllSprites() {
 async function handleTextSpritesInput(e) {
     const text = e.target.value.trim();
     
+    // Variants belong to the character, so they survive retyping and color changes
+    const previousVariants = new Map(textSprites.map(sprite => [getSpriteCharacter(sprite), sprite.variants || []]));
+    
     // Clear existing text sprites
     textSprites = [];
     
     if (!text) {
+        updateSpriteGallery();
         updateTotalSpriteCount();
         checkRenderingConditions();
         return;
@@ -1066,14 +2047,17 @@ async function handleTextSpritesInput(e) {
     const characters = [...text];
     
     if (characters.length === 0) {
+        updateSpriteGallery();
         updateTotalSpriteCount();
         checkRenderingConditions();
         return;
     }
     
-    const totalSprites = imageSprites.length + characters.length;
+    const imagePaletteSize = getPaletteSize(imageSprites);
+    const textPaletteSize = characters.reduce((count, char) => count + 1 + (previousVariants.get(char) || []).length, 0);
+    const totalSprites = imagePaletteSize + textPaletteSize;
     if (totalSprites > 32) {
-        showWarning(`Too many sprites. Maximum 32 total (${imageSprites.length} images + ${characters.length} characters = ${totalSprites})`);
+        showWarning(`Too many sprites. Maximum 32 total (${imagePaletteSize} images and variants + ${textPaletteSize} characters and variants = ${totalSprites})`);
         return;
     }
     
@@ -1081,23 +2065,29 @@ async function handleTextSpritesInput(e) {
     for (const char of characters) {
         try {
             const sprite = await createCharacterSpriteObject(char);
+            if (previousVariants.has(char)) {
+                sprite.variants = [...previousVariants.get(char)];
+            }
             textSprites.push(sprite);
         } catch (error) {
             console.warn(`Failed to create sprite for character "${char}":`, error);
         }
     }
     
+    updateSpriteGallery();
     updateTotalSpriteCount();
     checkRenderingConditions();
 }
 
-function checkRenderingConditions() {
+// Start or stop rendering for the current palette. Callers that already awaited
+// an atlas rebuild for it pass atlasUpToDate to skip another one.
+function checkRenderingConditions(atlasUpToDate = false) {
     const totalSprites = getAllSprites();
-    if (totalSprites.length >= 2) {
+    if (getPaletteSize(totalSprites) >= 2) {
         if (!animationId) {
             statusText.textContent = 'Rendering sprite rasterization...';
             startRendering();
-        } else if (rasterizer && rasterizer.atlas) {
+        } else if (rasterizer && rasterizer.atlas && !atlasUpToDate) {
             rasterizer.updateAtlas(totalSprites).catch(error => {
                 showError('Failed to update texture atlas: ' + error.message);
             });
@@ -1108,7 +2098,7 @@ function checkRenderingConditions() {
     }
 }
 
-async function createCharacterSpriteObject(character) {
+async function createCharacterSpriteObject(character, palette = null) {
     // Create a canvas to render the character
     const canvas = document.createElement('canvas');
     const size = 64; // Size for character sprites
@@ -1146,11 +2136,12 @@ async function createCharacterSpriteObject(character) {
         name: `char-${character}`,
         width: img.width,
         height: img.height,
-        isTextSprite: true
+        isTextSprite: true,
+        textColor: selectedColor
     };
     
-    // Set normalized dimensions based on existing sprites or default
-    const allSprites = getAllSprites();
+    // Set normalized dimensions based on existing sprites (or `palette`) or default
+    const allSprites = palette || getAllSprites();
     if (allSprites.length > 0) {
         const firstSprite = allSprites[0];
         sprite.normalizedWidth = firstSprite.normalizedWidth;
@@ -1175,19 +2166,206 @@ function updateScale(e) {
 }
 
 function getCurrentGridDimensions() {
+    // An imported mosaic map has a fixed grid
+    if (importedMosaic) {
+        return { width: importedMosaic.width, height: importedMosaic.height };
+    }
+    
     const scaleVal = parseFloat(scale.value);
     return {
         width: Math.round(baseGridWidth * scaleVal),
-        height: Math.round(baseGridHeight * scaleVal)
+        height: getLayoutRows(getActiveLayout(), Math.round(baseGridHeight * scaleVal))
+    };
+}
+
+// The layout in effect: adaptive quadtree mode always uses the square lattice
+function getActiveLayout() {
+    return adaptiveGrid.checked ? 'square' : gridLayout.value;
+}
+
+// Lattice rows a layout needs to cover `baseRows` cell heights
+function getLayoutRows(layout, baseRows) {
+    return Math.max(1, Math.round((baseRows - 1) / GRID_LAYOUTS[layout].rowStep) + 1);
+}
+
+// Height of `rows` lattice rows, in cell heights
+function getLayoutHeight(layout, rows) {
+    return (rows - 1) * GRID_LAYOUTS[layout].rowStep + 1;
+}
+
+// Width of a lattice `columns` cells wide, in cell widths; with more than one
+// row the shifted odd rows stick out by rowOffset
+function getLayoutWidth(layout, columns, rows) {
+    return columns + (rows > 1 ? GRID_LAYOUTS[layout].rowOffset : 0);
+}
+
+// Top-left corner of cell (x, y), in cell units
+function getCellOrigin(layout, x, y) {
+    const { rowStep, rowOffset } = GRID_LAYOUTS[layout];
+    return { x: x + (y % 2) * rowOffset, y: y * rowStep };
+}
+
+// Output size in pixels of a gridWidth x gridHeight lattice of cellWidth x cellHeight cells
+function getGridPixelSize(layout, gridWidth, gridHeight, cellWidth, cellHeight) {
+    return {
+        width: Math.round(getLayoutWidth(layout, gridWidth, gridHeight) * cellWidth),
+        height: Math.round(getLayoutHeight(layout, gridHeight) * cellHeight)
     };
 }
 
 function updateGridDisplay() {
     const { width, height } = getCurrentGridDimensions();
     const totalSprites = width * height;
-    gridDisplay.textContent = `${width}x${height} (${totalSprites.toLocaleString()} sprites)`;
+    if (adaptiveGrid.checked && !importedMosaic) {
+        gridDisplay.textContent = `${width}x${height} adaptive (up to ${totalSprites.toLocaleString()} sprites)`;
+        return;
+    }
+    
+    const layout = getActiveLayout();
+    const layoutName = layout === 'square' ? '' : ` ${layout}`;
+    gridDisplay.textContent = `${width}x${height}${layoutName} (${totalSprites.toLocaleString()} sprites)`;
+}
+
+
+// Rendering settings recorded in exported mosaic maps
+function getCurrentSettings() {
+    return {
+        scale: parseFloat(scale.value),
+        threshold: parseFloat(threshold.value),
+        matching: document.querySelector('input[name="matching"]:checked').value,
+        backgroundColor: canvasBgColor.value,
+        textColor: textColor.value,
+        tint: tintMode.value,
+        dither: ditherMode.value,
+        sampling: samplingMode.value,
+        layout: gridLayout.value,
+        adaptive: adaptiveGrid.checked,
+        detailThreshold: parseFloat(detailThreshold.value),
+        temporalStability: parseFloat(temporalStability.value),
+        colorSmoothing: parseFloat(colorSmoothing.value),
+        repeatRadius: parseInt(repeatRadius.value),
+        maxUses: parseInt(maxUses.value) || 0,
+        useAll: useAllSprites.checked,
+        backgroundRemoval: backgroundRemoval.value,
+        keyColor: keyColor.value,
+        keyTolerance: parseFloat(keyTolerance.value),
+        keySoftness: parseFloat(keySoftness.value),
+        edgeGlyphs: edgeGlyphs.checked,
+        edgeThreshold: parseFloat(edgeThreshold.value),
+        gpuSelection: gpuSelection.checked
+    };
 }
 
+// Apply settings from getCurrentSettings through the regular control handlers.
+// Text sprites are not regenerated here; callers rebuild them as needed.
+function applySettings(settings) {
+    if (settings.scale !== undefined) {
+        scale.value = settings.scale;
+        updateScale({ target: scale });
+    }
+    
+    if (settings.threshold !== undefined) {
+        threshold.value = settings.threshold;
+        updateThreshold({ target: threshold });
+    }
+    
+    if (settings.matching) {
+        const radio = document.querySelector(`input[name="matching"][value="${settings.matching}"]`);
+        if (radio) {
+            radio.checked = true;
+            updateMatchingAlgorithm({ target: radio });
+        }
+    }
+    
+    if (settings.backgroundColor) {
+        canvasBgColor.value = settings.backgroundColor;
+        updateCanvasBackground({ target: canvasBgColor });
+    }
+    
+    if (settings.textColor) {
+        textColor.value = settings.textColor;
+    }
+    
+    if (settings.dither && ditherMode.querySelector(`option[value="${settings.dither}"]`)) {
+        ditherMode.value = settings.dither;
+        updateDitherMode();
+    }
+    
+    if (settings.layout && settings.layout in GRID_LAYOUTS) {
+        gridLayout.value = settings.layout;
+        updateGridLayout();
+    }
+    
+    if (settings.adaptive !== undefined) {
+        adaptiveGrid.checked = settings.adaptive;
+        if (settings.detailThreshold !== undefined) {
+            detailThreshold.value = settings.detailThreshold;
+        }
+        updateAdaptiveGrid();
+    }
+    
+    if (settings.temporalStability !== undefined || settings.colorSmoothing !== undefined) {
+        if (settings.temporalStability !== undefined) {
+            temporalStability.value = settings.temporalStability;
+        }
+        if (settings.colorSmoothing !== undefined) {
+            colorSmoothing.value = settings.colorSmoothing;
+        }
+        updateTemporalCoherence();
+    }
+    
+    if (settings.repeatRadius !== undefined || settings.maxUses !== undefined || settings.useAll !== undefined) {
+        if (settings.repeatRadius !== undefined) {
+            repeatRadius.value = settings.repeatRadius;
+        }
+        if (settings.maxUses !== undefined) {
+            maxUses.value = settings.maxUses;
+        }
+        if (settings.useAll !== undefined) {
+            useAllSprites.checked = settings.useAll;
+        }
+        updateConstraints();
+    }
+    
+    // The plate itself is a live frame and isn't stored, so 'plate' waits for a new capture
+    if (settings.backgroundRemoval && backgroundRemoval.querySelector(`option[value="${settings.backgroundRemoval}"]`)) {
+        backgroundRemoval.value = settings.backgroundRemoval;
+        if (settings.keyColor) {
+            keyColor.value = settings.keyColor;
+        }
+        if (settings.keyTolerance !== undefined) {
+            keyTolerance.value = settings.keyTolerance;
+        }
+        if (settings.keySoftness !== undefined) {
+            keySoftness.value = settings.keySoftness;
+        }
+        updateBackgroundRemoval();
+    }
+    
+    if (settings.edgeGlyphs !== undefined) {
+        edgeGlyphs.checked = settings.edgeGlyphs;
+        if (settings.edgeThreshold !== undefined) {
+            edgeThreshold.value = settings.edgeThreshold;
+        }
+        updateEdgeMode();
+    }
+    
+    if (settings.sampling && samplingMode.querySelector(`option[value="${settings.sampling}"]`)) {
+        samplingMode.value = settings.sampling;
+        updateSamplingMode();
+    }
+    
+    if (settings.tint && settings.tint in TINT_MODES) {
+        tintMode.value = settings.tint;
+        updateTintMode();
+    }
+    
+    // Left alone where initRasterizer disabled it for lack of a selection program
+    if (settings.gpuSelection !== undefined && !gpuSelection.disabled) {
+        gpuSelection.checked = settings.gpuSelection;
+        updateGpuSelection();
+    }
+}
 
 function updateThreshold(e) {
     const value = parseFloat(e.target.value);
@@ -1195,11 +2373,207 @@ function updateThreshold(e) {
 }
 
 function updateMatchingAlgorithm(e) {
+    updateThresholdAvailability();
+    
     if (rasterizer) {
         rasterizer.setSelectionMode(e.target.value);
     }
 }
 
+// The threshold slider only posterizes cell colors, so it has no effect when
+// dithering replaces posterization or when shape matching compares the luminance
+// grid inside each cell instead of its color
+function updateThresholdAvailability() {
+    const matching = document.querySelector('input[name="matching"]:checked').value;
+    threshold.disabled = (ditherMode.value !== 'none' && !ditherMode.disabled) || matching === 'structure';
+}
+
+function updateGridLayout() {
+    if (rasterizer) {
+        rasterizer.setLayout(getActiveLayout());
+    }
+    updateGridDisplay();
+}
+
+function updateAdaptiveGrid() {
+    detailThresholdValue.textContent = detailThreshold.value;
+    
+    // Quadtree leaves are always square-aligned
+    gridLayout.disabled = adaptiveGrid.checked;
+    detailThreshold.disabled = !adaptiveGrid.checked;
+    updateDitherMode();
+    
+    if (rasterizer) {
+        rasterizer.setAdaptive(adaptiveGrid.checked, parseFloat(detailThreshold.value));
+    }
+    updateGridLayout();
+}
+
+function updateSamplingMode() {
+    if (rasterizer) {
+        rasterizer.setSamplingMode(samplingMode.value);
+    }
+}
+
+function updateTemporalCoherence() {
+    temporalStabilityValue.textContent = parseFloat(temporalStability.value).toFixed(2);
+    colorSmoothingValue.textContent = parseFloat(colorSmoothing.value).toFixed(2);
+    
+    if (rasterizer) {
+        rasterizer.setTemporalCoherence(parseFloat(temporalStability.value), parseFloat(colorSmoothing.value));
+    }
+}
+
+function updateBackgroundRemoval() {
+    keyToleranceValue.textContent = keyTolerance.value;
+    keySoftnessValue.textContent = keySoftness.value;
+    keyColor.disabled = backgroundRemoval.value !== 'chroma';
+    
+    if (rasterizer) {
+        rasterizer.setBackgroundRemoval(backgroundRemoval.value, keyColor.value,
+            parseFloat(keyTolerance.value), parseFloat(keySoftness.value));
+    }
+}
+
+// Store the current source frame as the reference for background plate mode.
+// Drawn mirrored like live webcam cells so the two line up when sampled.
+function captureBackgroundPlate() {
+    const source = getActiveSource();
+    if (!source || !rasterizer) {
+        showWarning('No source to capture a background plate from');
+        return;
+    }
+    
+    const { width, height } = getSourceDimensions(source);
+    const plate = document.createElement('canvas');
+    plate.width = width;
+    plate.height = height;
+    source.draw(plate);
+    
+    backgroundPlate = new CanvasSource(plate, false);
+    rasterizer.setBackgroundPlate(backgroundPlate);
+    if (backgroundRemoval.value !== 'plate') {
+        backgroundRemoval.value = 'plate';
+        updateBackgroundRemoval();
+    }
+    showSuccess('Background plate captured');
+}
+
+// A plate only matches the source it was captured from
+function clearBackgroundPlate() {
+    backgroundPlate = null;
+    if (rasterizer) {
+        rasterizer.setBackgroundPlate(null);
+    }
+}
+
+function updateEdgeMode(e) {
+    edgeThresholdValue.textContent = parseFloat(edgeThreshold.value).toFixed(2);
+    edgeThreshold.disabled = !edgeGlyphs.checked;
+    
+    if (rasterizer) {
+        rasterizer.setEdgeMode(edgeGlyphs.checked, parseFloat(edgeThreshold.value));
+    }
+    
+    // Only when the mode is switched on, not on every threshold change
+    const hasDirectional = getPaletteEntries().some(entry => getEntryDirection(entry) !== null);
+    if (e && e.target === edgeGlyphs && edgeGlyphs.checked && !hasDirectional) {
+        showWarning('Edge glyphs need directional sprites: add - / | \\ text sprites or tag image sprites');
+    }
+}
+
+// Append whichever of the four line glyphs are missing to the text sprites
+function addEdgeGlyphSprites() {
+    const textInput = document.getElementById('text-sprites');
+    const missing = Object.keys(TEXT_GLYPH_DIRECTIONS).filter(glyph => !textInput.value.includes(glyph));
+    if (missing.length === 0) {
+        showWarning('The edge glyphs are already in the text sprites');
+        return;
+    }
+    
+    textInput.value += missing.join('');
+    textInput.dispatchEvent(new Event('input'));
+}
+
+function getConstraintValues() {
+    return [parseInt(repeatRadius.value), Math.max(0, parseInt(maxUses.value) || 0), useAllSprites.checked];
+}
+
+function updateConstraints() {
+    const [radius, limit, useAll] = getConstraintValues();
+    repeatRadiusValue.textContent = radius > 0 ? `${radius} cell${radius === 1 ? '' : 's'}` : 'off';
+    updateDitherMode();
+    
+    if (rasterizer) {
+        rasterizer.setConstraints(radius, limit, useAll);
+    }
+    updateUsageReport();
+}
+
+// Show how many cells each palette entry covered in the last constrained selection
+function updateUsageReport() {
+    const report = rasterizer ? rasterizer.usageReport : null;
+    if (report === shownUsageReport) {
+        return;
+    }
+    shownUsageReport = report;
+    
+    usageReport.classList.toggle('hidden', !report);
+    usageReport.innerHTML = '';
+    if (!report) {
+        return;
+    }
+    
+    const entries = getPaletteEntries();
+    const unused = report.counts.filter(count => count === 0).length;
+    const summary = document.createElement('div');
+    summary.textContent = `${report.cells.toLocaleString()} cells, ${unused} unused sprite${unused === 1 ? '' : 's'}` +
+        (report.relaxed > 0 ? `, ${report.relaxed.toLocaleString()} broke a constraint` : '');
+    usageReport.appendChild(summary);
+    
+    report.counts.forEach((count, i) => {
+        const entry = entries[i];
+        const row = document.createElement('div');
+        row.className = 'usage-row';
+        row.classList.toggle('unused', count === 0);
+        
+        const name = document.createElement('span');
+        name.textContent = entry
+            ? (entry.variant ? `${entry.sprite.name} ${SPRITE_VARIANTS[entry.variant].label}` : entry.sprite.name)
+            : `#${i}`;
+        const value = document.createElement('span');
+        value.textContent = count.toLocaleString();
+        
+        row.append(name, value);
+        usageReport.appendChild(row);
+    });
+}
+
+function updateDitherMode() {
+    // The constrained solver places cells out of scan order and quadtree leaves
+    // have no scan order at all, so neither can dither
+    const [radius, limit, useAll] = getConstraintValues();
+    ditherMode.disabled = radius > 0 || limit > 0 || useAll || adaptiveGrid.checked;
+    
+    updateThresholdAvailability();
+    
+    if (rasterizer) {
+        rasterizer.setDitherMode(ditherMode.value);
+    }
+}
+
+function updateTintMode() {
+    if (rasterizer) {
+        rasterizer.setTintMode(tintMode.value);
+    }
+}
+
+function updateGpuSelection() {
+    if (rasterizer) {
+        rasterizer.setGpuSelectionEnabled(gpuSelection.checked);
+    }
+}
+
 
 //==============================================================================
 // SPRITE CAPTURE SYSTEM
@@ -1217,7 +2591,7 @@ function setupCaptureModal() {
     let countdownTimer = null;
     
     startCaptureBtn.addEventListener('click', async () => {
-        if (sprites.length >= 32) {
+        if (getPaletteSize() >= 32) {
             showError('Maximum 32 sprites allowed');
             return;
         }
@@ -1247,7 +2621,7 @@ function setupCaptureModal() {
     });
     
     instantCaptureBtn.addEventListener('click', () => {
-        if (sprites.length >= 32) {
+        if (getPaletteSize() >= 32) {
             showError('Maximum 32 sprites allowed');
             return;
         }
@@ -1363,7 +2737,7 @@ function setupCaptureModal() {
 }
 
 async function handleSpriteCapture() {
-    if (sprites.length >= 32) {
+    if (getPaletteSize() >= 32) {
         showError('Maximum 32 sprites allowed');
         return;
     }
@@ -1447,42 +2821,310 @@ async function saveCanvasAsSprite(canvas) {
 }
 
 //==============================================================================
-// NOTIFICATION SYSTEM
+// WORKSPACE PERSISTENCE
 //==============================================================================
-function showToast(message, type = 'info') {
-    const toast = document.createElement('div');
-    toast.className = `toast ${type}`;
-    toast.textContent = message;
-    document.body.appendChild(toast);
-    
-    // Trigger animation
-    setTimeout(() => toast.classList.add('show'), 10);
-    
-    // Auto-remove after 5 seconds
-    setTimeout(() => {
-        toast.classList.remove('show');
-        setTimeout(() => document.body.removeChild(toast), 300);
-    }, 5000);
+
+// Workspaces live in IndexedDB: the 'workspaces' store holds one record per
+// named workspace ({ name, updatedAt, settings, text, textVariants, sprites },
+// image sprites as blobs) and the 'meta' store remembers which one was open last.
+let workspaceDatabase = null;
+
+function openWorkspaceDatabase() {
+    if (!workspaceDatabase) {
+        workspaceDatabase = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+            
+            const request = indexedDB.open(WORKSPACE_DB_NAME, WORKSPACE_DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore('workspaces', { keyPath: 'name' });
+                request.result.createObjectStore('meta');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return workspaceDatabase;
 }
 
-function showError(message) {
-    console.error(message);
-    showToast(message, 'error');
+// Run one request against a store and resolve with its result once committed
+async function workspaceRequest(storeName, mode, createRequest) {
+    const db = await openWorkspaceDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = createRequest(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
 }
 
-function showSuccess(message) {
-    console.log(message);
-    showToast(message, 'success');
+async function getWorkspaceNames() {
+    const names = await workspaceRequest('workspaces', 'readonly', store => store.getAllKeys());
+    return names.sort((a, b) => a.localeCompare(b));
 }
 
-function showWarning(message) {
-    console.warn(message);
-    showToast(message, 'warning');
+// Snapshot of everything a workspace keeps: sprites, text sprites and settings.
+// Sources, captured background plates and imported mosaic maps are not kept.
+function getWorkspaceState() {
+    return {
+        name: activeWorkspace,
+        updatedAt: Date.now(),
+        settings: getCurrentSettings(),
+        text: document.getElementById('text-sprites').value,
+        textVariants: Object.fromEntries(textSprites
+            .filter(sprite => (sprite.variants || []).length > 0)
+            .map(sprite => [getSpriteCharacter(sprite), sprite.variants])),
+        sprites: imageSprites.map(sprite => ({
+            name: sprite.name,
+            blob: sprite.blob,
+            direction: sprite.direction === undefined ? null : sprite.direction,
+            variants: sprite.variants || []
+        }))
+    };
 }
 
-//==============================================================================
-// WEBGL SPRITE RASTERIZER
-//==============================================================================
+// Replace the sprites and settings with a stored workspace state
+async function loadWorkspaceState(state) {
+    workspaceReady = false;
+    
+    try {
+        clearImportedMosaic();
+        imageSprites = [];
+        textSprites = [];
+        sprites = [];
+        
+        applySettings(state.settings || {});
+        
+        // Build the whole palette first, then rebuild the atlas once for it
+        const getStoredVariants = (variants) => Object.keys(SPRITE_VARIANTS).filter(key => (variants || []).includes(key));
+        for (const stored of state.sprites || []) {
+            let sprite;
+            try {
+                sprite = await loadImageSprite(new File([stored.blob], stored.name, { type: stored.blob.type }));
+            } catch (error) {
+                console.warn(`Skipping sprite "${stored.name}" from workspace:`, error);
+                continue;
+            }
+            
+            if (EDGE_DIRECTIONS.some(direction => direction.angle === stored.direction)) {
+                sprite.direction = stored.direction;
+            }
+            sprite.variants = getStoredVariants(stored.variants);
+        }
+        
+        const textInput = document.getElementById('text-sprites');
+        textInput.value = state.text || '';
+        const textVariants = state.textVariants || {};
+        for (const char of [...textInput.value.trim()]) {
+            try {
+                const sprite = await createCharacterSpriteObject(char);
+                sprite.variants = getStoredVariants(textVariants[char]);
+                textSprites.push(sprite);
+            } catch (error) {
+                console.warn(`Failed to create sprite for character "${char}":`, error);
+            }
+        }
+        
+        updateSpriteGallery();
+        updateTotalSpriteCount();
+        if (rasterizer && rasterizer.atlas && getPaletteSize() >= 2) {
+            await rasterizer.updateAtlas(getAllSprites());
+        }
+        checkRenderingConditions(true);
+    } finally {
+        workspaceReady = true;
+    }
+}
+
+async function updateWorkspaceSelect() {
+    const names = await getWorkspaceNames();
+    if (!names.includes(activeWorkspace)) {
+        names.push(activeWorkspace);
+    }
+    
+    workspaceSelect.innerHTML = '';
+    names.forEach(name => {
+        workspaceSelect.appendChild(new Option(name, name, false, name === activeWorkspace));
+    });
+    deleteWorkspaceButton.disabled = names.length < 2;
+}
+
+// Load the workspace that was open last. Returns false if there is none (or
+// IndexedDB is unavailable), leaving the defaults in place.
+async function restoreWorkspace() {
+    try {
+        const name = await workspaceRequest('meta', 'readonly', store => store.get('activeWorkspace'));
+        if (name) {
+            activeWorkspace = name;
+        }
+        
+        const state = await workspaceRequest('workspaces', 'readonly', store => store.get(activeWorkspace));
+        await updateWorkspaceSelect();
+        if (!state) {
+            return false;
+        }
+        
+        await loadWorkspaceState(state);
+        return true;
+    } catch (error) {
+        console.warn('Workspace restore failed:', error);
+        workspaceSelect.innerHTML = '';
+        workspaceSelect.appendChild(new Option(activeWorkspace, activeWorkspace));
+        return false;
+    }
+}
+
+function scheduleWorkspaceSave() {
+    if (!workspaceReady) return;
+    
+    clearTimeout(workspaceSaveTimer);
+    workspaceSaveTimer = setTimeout(saveWorkspace, WORKSPACE_SAVE_DELAY);
+}
+
+async function saveWorkspace() {
+    clearTimeout(workspaceSaveTimer);
+    workspaceSaveTimer = null;
+    
+    // A half-loaded workspace must never be written back
+    if (!workspaceReady) return;
+    
+    try {
+        const state = getWorkspaceState();
+        await workspaceRequest('workspaces', 'readwrite', store => store.put(state));
+        await workspaceRequest('meta', 'readwrite', store => store.put(state.name, 'activeWorkspace'));
+    } catch (error) {
+        console.warn('Workspace save failed:', error);
+    }
+}
+
+async function switchWorkspace(name) {
+    if (name === activeWorkspace) return;
+    
+    try {
+        // Save pending changes to the workspace being left
+        if (workspaceSaveTimer) {
+            await saveWorkspace();
+        }
+        
+        const state = await workspaceRequest('workspaces', 'readonly', store => store.get(name));
+        if (!state) {
+            throw new Error(`Workspace "${name}" not found`);
+        }
+        
+        activeWorkspace = name;
+        await loadWorkspaceState(state);
+        await saveWorkspace();
+        showSuccess(`Switched to workspace "${name}"`);
+    } catch (error) {
+        showError('Failed to switch workspace: ' + error.message);
+    }
+    await updateWorkspaceSelect().catch(() => {});
+}
+
+// Copy the current state into a new (or existing) named workspace and switch to it
+async function saveWorkspaceAs() {
+    const name = (prompt('Workspace name:', '') || '').trim();
+    if (!name) return;
+    
+    try {
+        const existing = await getWorkspaceNames();
+        if (existing.includes(name) && name !== activeWorkspace &&
+            !confirm(`Replace the existing workspace "${name}"?`)) {
+            return;
+        }
+        
+        activeWorkspace = name;
+        await saveWorkspace();
+        await updateWorkspaceSelect();
+        showSuccess(`Saved workspace "${name}"`);
+    } catch (error) {
+        showError('Failed to save workspace: ' + error.message);
+    }
+}
+
+async function deleteWorkspace() {
+    try {
+        const names = await getWorkspaceNames();
+        const remaining = names.filter(name => name !== activeWorkspace);
+        if (remaining.length === 0) {
+            showWarning('Can\'t delete the only workspace - use Reset Workspace instead');
+            return;
+        }
+        
+        if (!confirm(`Delete workspace "${activeWorkspace}"? This cannot be undone.`)) {
+            return;
+        }
+        
+        const deleted = activeWorkspace;
+        clearTimeout(workspaceSaveTimer);
+        workspaceSaveTimer = null;
+        await workspaceRequest('workspaces', 'readwrite', store => store.delete(deleted));
+        
+        const state = await workspaceRequest('workspaces', 'readonly', store => store.get(remaining[0]));
+        activeWorkspace = remaining[0];
+        await loadWorkspaceState(state);
+        await saveWorkspace();
+        await updateWorkspaceSelect();
+        showSuccess(`Deleted workspace "${deleted}"`);
+    } catch (error) {
+        showError('Failed to delete workspace: ' + error.message);
+    }
+}
+
+// Back to the shipped defaults: no image sprites, the default text sprites and
+// default settings. Other named workspaces are left alone.
+async function resetWorkspace() {
+    if (!confirm(`Reset workspace "${activeWorkspace}"? Its sprites and settings will be cleared.`)) {
+        return;
+    }
+    
+    clearTimeout(workspaceSaveTimer);
+    workspaceSaveTimer = null;
+    await loadWorkspaceState({ settings: defaultWorkspaceSettings, text: defaultTextSprites, sprites: [] });
+    await saveWorkspace();
+    showSuccess(`Reset workspace "${activeWorkspace}"`);
+}
+
+//==============================================================================
+// NOTIFICATION SYSTEM
+//==============================================================================
+function showToast(message, type = 'info') {
+    const toast = document.createElement('div');
+    toast.className = `toast ${type}`;
+    toast.textContent = message;
+    document.body.appendChild(toast);
+    
+    // Trigger animation
+    setTimeout(() => toast.classList.add('show'), 10);
+    
+    // Auto-remove after 5 seconds
+    setTimeout(() => {
+        toast.classList.remove('show');
+        setTimeout(() => document.body.removeChild(toast), 300);
+    }, 5000);
+}
+
+function showError(message) {
+    console.error(message);
+    showToast(message, 'error');
+}
+
+function showSuccess(message) {
+    console.log(message);
+    showToast(message, 'success');
+}
+
+function showWarning(message) {
+    console.warn(message);
+    showToast(message, 'warning');
+}
+
+//==============================================================================
+// WEBGL SPRITE RASTERIZER
+//==============================================================================
 class SpriteRasterizer {
     constructor(canvas) {
         this.canvas = canvas;
@@ -1494,34 +3136,143 @@ class SpriteRasterizer {
         
         this.selector = null;
         this.atlas = null;
+        
+        // Latest updateAtlas request and its promise, so out-of-order results are dropped
+        this.atlasRequest = 0;
+        this.pendingAtlas = null;
+        this.backgroundColor = '#808080';
+        this.canvasFill = null;
+        this.tintMode = 'none';
+        this.ditherMode = 'none';
+        this.samplingMode = 'fast';
+        this.cellSampler = null;
+        this.layout = 'square';
+        this.adaptive = false;
+        this.detailThreshold = 24;
+        
+        // Temporal coherence for live video (see generateSpriteIndices)
+        this.temporalStability = 0;
+        this.colorSmoothing = 0;
+        this.temporalState = null;
+        
+        // Photomosaic constraints (see solveConstrainedAssignment) and the per-sprite
+        // counts of the last constrained selection
+        this.constraints = { repeatRadius: 0, maxUses: 0, useAll: false };
+        this.usageReport = null;
+        
+        // Background removal: 'none', 'plate' (difference from a captured reference
+        // frame) or 'chroma' (distance from a key color), see applyBackgroundMask
+        this.backgroundRemoval = { mode: 'none', keyColor: { r: 0, g: 255, b: 0 }, tolerance: 32, softness: 8 };
+        this.backgroundPlate = null;
+        this.plateCells = null;
+        
+        // Edge glyph mode: cells with a strong Sobel edge use directional sprites
+        this.edgeMode = false;
+        this.edgeThreshold = 0.3;
+        this.mosaic = null;
         this.program = null;
-        this.vertexBuffer = null;
-        this.indexBuffer = null;
+        this.quadBuffer = null;
+        this.cellBuffer = null;
+        this.spriteIndexBuffer = null;
+        this.chunkIndexBuffer = null;
         this.spriteData = [];
         
+        // Per-grid buffers are only reallocated when the grid size changes
+        this.gridBufferWidth = 0;
+        this.gridBufferHeight = 0;
+        this.cellCount = 0;
+        this.spriteIndexData = null;
+        
+        this.instancing = this.getInstancingSupport();
+        
+        // GPU selection pass state (see runGpuSelection)
+        this.selectionMode = null;
+        this.gpuSelectionEnabled = true;
+        this.selectionProgram = null;
+        this.sourceCanvas = null;
+        this.frameUsesGpuSelection = false;
+        this.cellColorTexture = null;
+        this.selectionTexture = null;
+        this.selectionFramebuffer = null;
+        this.posterizeTexture = null;
+        this.selectionTargetWidth = 0;
+        this.selectionTargetHeight = 0;
+        
         this.initShaders();
+        this.initSelectionShaders();
         this.initBuffers();
     }
     
+    // Returns a small wrapper over WebGL2 instancing or ANGLE_instanced_arrays,
+    // or null when neither is available and we have to fall back to chunked draws
+    getInstancingSupport() {
+        const gl = this.gl;
+        if (typeof WebGL2RenderingContext !== 'undefined' && gl instanceof WebGL2RenderingContext) {
+            return {
+                vertexAttribDivisor: (location, divisor) => gl.vertexAttribDivisor(location, divisor),
+                drawArraysInstanced: (mode, first, count, instances) => gl.drawArraysInstanced(mode, first, count, instances)
+            };
+        }
+        
+        const ext = gl.getExtension('ANGLE_instanced_arrays');
+        if (ext) {
+            return {
+                vertexAttribDivisor: (location, divisor) => ext.vertexAttribDivisorANGLE(location, divisor),
+                drawArraysInstanced: (mode, first, count, instances) => ext.drawArraysInstancedANGLE(mode, first, count, instances)
+            };
+        }
+        
+        return null;
+    }
+    
     initShaders() {
-        const vertexShaderSource = `
-            attribute vec2 a_position;
-            attribute vec2 a_texCoord;
+        // One unit quad per cell: a_corner is the quad corner (and its texture
+        // coordinate), a_cell (x, y, width, height in cells) and a_spriteIndex
+        // are per-cell (per-instance) data. Reading the GPU selection result needs
+        // vertex texture fetch, so that part is only compiled where it exists.
+        const vertexTextureFetch = this.gl.getParameter(this.gl.MAX_VERTEX_TEXTURE_IMAGE_UNITS) > 0;
+        const vertexShaderSource = (vertexTextureFetch ? '#define INDEX_TEXTURE\n' : '') + `
+            attribute vec2 a_corner;
+            attribute vec4 a_cell;
             attribute float a_spriteIndex;
+            attribute vec4 a_cellColor;
             
             uniform vec2 u_resolution;
             uniform vec2 u_spriteSize;
+            uniform vec2 u_offset;
+            uniform vec2 u_gridSize;
+            uniform float u_rowStep;
+            uniform float u_rowOffset;
+            #ifdef INDEX_TEXTURE
+            uniform bool u_useIndexTexture;
+            uniform sampler2D u_spriteIndices;
+            uniform sampler2D u_cellColors;
+            #endif
             
             varying vec2 v_texCoord;
             varying float v_spriteIndex;
+            varying vec4 v_cellColor;
             
             void main() {
-                vec2 position = a_position * u_spriteSize;
+                // Cell origin in the chosen lattice (see GRID_LAYOUTS)
+                vec2 origin = vec2(a_cell.x + mod(a_cell.y, 2.0) * u_rowOffset, a_cell.y * u_rowStep);
+                vec2 position = (origin + a_corner * a_cell.zw) * u_spriteSize - u_offset;
                 vec2 clipSpace = ((position / u_resolution) * 2.0) - 1.0;
                 gl_Position = vec4(clipSpace * vec2(1, -1), 0, 1);
                 
-                v_texCoord = a_texCoord;
+                v_texCoord = a_corner;
                 v_spriteIndex = a_spriteIndex;
+                v_cellColor = a_cellColor;
+                
+                // Sprite indices written by the GPU selection pass, and the cell
+                // colors it read them from
+                #ifdef INDEX_TEXTURE
+                if (u_useIndexTexture) {
+                    vec2 cellUV = (a_cell.xy + 0.5) / u_gridSize;
+                    v_spriteIndex = floor(texture2D(u_spriteIndices, cellUV).r * 255.0 + 0.5);
+                    v_cellColor = texture2D(u_cellColors, cellUV);
+                }
+                #endif
             }
         `;
         
@@ -1531,9 +3282,17 @@ class SpriteRasterizer {
             uniform sampler2D u_atlas;
             uniform vec2 u_atlasSize;
             uniform vec4 u_spriteUVs[32];
+            uniform int u_tintMode;
+            uniform int u_cellShape;
+            uniform bool u_maskAlpha;
             
             varying vec2 v_texCoord;
             varying float v_spriteIndex;
+            varying vec4 v_cellColor;
+            
+            float luminance(vec3 color) {
+                return dot(color, vec3(0.299, 0.587, 0.114));
+            }
             
             vec4 getSpriteUV(float index) {
                 // Use conditional branches instead of dynamic indexing
@@ -1577,9 +3336,34 @@ class SpriteRasterizer {
                     return;
                 }
                 
+                // Hexagon and diamond cells inscribed in the cell rectangle
+                if (u_cellShape > 0) {
+                    vec2 d = abs(v_texCoord - 0.5);
+                    float edge = u_cellShape == 1 ? d.y + 0.5 * d.x : d.x + d.y;
+                    if (edge > 0.5) {
+                        discard;
+                    }
+                }
+                
                 vec4 spriteUV = getSpriteUV(v_spriteIndex);
                 vec2 uv = spriteUV.xy + v_texCoord * spriteUV.zw;
-                gl_FragColor = texture2D(u_atlas, uv);
+                vec4 color = texture2D(u_atlas, uv);
+                
+                // Tint the sprite with its cell's source color (see TINT_MODES)
+                if (u_tintMode == 1) {
+                    color.rgb *= v_cellColor.rgb;
+                } else if (u_tintMode == 2) {
+                    color.rgb = clamp(color.rgb + luminance(v_cellColor.rgb) - luminance(color.rgb), 0.0, 1.0);
+                } else if (u_tintMode == 3) {
+                    color.rgb = v_cellColor.rgb * luminance(color.rgb);
+                }
+                
+                // Soft edges of the background removal mask fade the sprite out
+                if (u_maskAlpha) {
+                    color.a *= v_cellColor.a;
+                }
+                
+                gl_FragColor = color;
             }
         `;
         
@@ -1590,15 +3374,124 @@ class SpriteRasterizer {
         this.uniforms = {
             resolution: this.gl.getUniformLocation(this.program, 'u_resolution'),
             spriteSize: this.gl.getUniformLocation(this.program, 'u_spriteSize'),
+            offset: this.gl.getUniformLocation(this.program, 'u_offset'),
             atlas: this.gl.getUniformLocation(this.program, 'u_atlas'),
             atlasSize: this.gl.getUniformLocation(this.program, 'u_atlasSize'),
-            spriteUVs: this.gl.getUniformLocation(this.program, 'u_spriteUVs')
+            spriteUVs: this.gl.getUniformLocation(this.program, 'u_spriteUVs'),
+            gridSize: this.gl.getUniformLocation(this.program, 'u_gridSize'),
+            useIndexTexture: this.gl.getUniformLocation(this.program, 'u_useIndexTexture'),
+            spriteIndices: this.gl.getUniformLocation(this.program, 'u_spriteIndices'),
+            cellColors: this.gl.getUniformLocation(this.program, 'u_cellColors'),
+            tintMode: this.gl.getUniformLocation(this.program, 'u_tintMode'),
+            rowStep: this.gl.getUniformLocation(this.program, 'u_rowStep'),
+            rowOffset: this.gl.getUniformLocation(this.program, 'u_rowOffset'),
+            cellShape: this.gl.getUniformLocation(this.program, 'u_cellShape'),
+            maskAlpha: this.gl.getUniformLocation(this.program, 'u_maskAlpha')
         };
         
         this.attributes = {
-            position: this.gl.getAttribLocation(this.program, 'a_position'),
-            texCoord: this.gl.getAttribLocation(this.program, 'a_texCoord'),
-            spriteIndex: this.gl.getAttribLocation(this.program, 'a_spriteIndex')
+            corner: this.gl.getAttribLocation(this.program, 'a_corner'),
+            cell: this.gl.getAttribLocation(this.program, 'a_cell'),
+            spriteIndex: this.gl.getAttribLocation(this.program, 'a_spriteIndex'),
+            cellColor: this.gl.getAttribLocation(this.program, 'a_cellColor')
+        };
+    }
+    
+    // Shaders for the GPU selection pass. The pass needs vertex texture fetch to
+    // hand its result to the render pass, so it is skipped where that is missing.
+    initSelectionShaders() {
+        const gl = this.gl;
+        if (gl.getParameter(gl.MAX_VERTEX_TEXTURE_IMAGE_UNITS) < 1) {
+            return;
+        }
+        
+        const vertexShaderSource = `
+            attribute vec2 a_corner;
+            
+            void main() {
+                gl_Position = vec4(a_corner * 2.0 - 1.0, 0, 1);
+            }
+        `;
+        
+        // Mirrors generateSpriteIndices with ColorSpriteSelector/BrightnessSpriteSelector
+        // exactly: the same posterization table, whole-number sprite averages and luma
+        // in thousandths, so every distance is an integer that float32 holds exactly,
+        // and the first sprite wins on ties
+        const fragmentShaderSource = `
+            precision highp float;
+            
+            uniform sampler2D u_cells;
+            uniform sampler2D u_posterize;
+            uniform vec2 u_gridSize;
+            uniform int u_mode;
+            uniform int u_spriteCount;
+            uniform vec4 u_spriteAverages[32];
+            
+            const vec3 LUMA = vec3(299.0, 587.0, 114.0);
+            
+            float posterize(float value) {
+                return floor(texture2D(u_posterize, vec2((value + 0.5) / 256.0, 0.5)).r * 255.0 + 0.5);
+            }
+            
+            void main() {
+                vec4 cell = texture2D(u_cells, gl_FragCoord.xy / u_gridSize);
+                
+                // Transparent cells are left empty (index 255 is outside the palette)
+                if (cell.a == 0.0) {
+                    gl_FragColor = vec4(1, 0, 0, 1);
+                    return;
+                }
+                
+                vec3 color = floor(cell.rgb * 255.0 + 0.5);
+                color = vec3(posterize(color.r), posterize(color.g), posterize(color.b));
+                float brightness = dot(color, LUMA);
+                
+                float bestIndex = 0.0;
+                float bestDistance = 1e20;
+                
+                for (int i = 0; i < 32; i++) {
+                    if (i >= u_spriteCount) break;
+                    
+                    vec4 sprite = u_spriteAverages[i];
+                    float distance;
+                    if (u_mode == 0) {
+                        vec3 diff = color - sprite.rgb;
+                        distance = dot(diff, diff);
+                    } else {
+                        distance = abs(brightness - dot(sprite.rgb, LUMA));
+                    }
+                    
+                    if (distance < bestDistance) {
+                        bestDistance = distance;
+                        bestIndex = float(i);
+                    }
+                }
+                
+                gl_FragColor = vec4(bestIndex / 255.0, 0, 0, 1);
+            }
+        `;
+        
+        try {
+            this.selectionProgram = this.createProgram(vertexShaderSource, fragmentShaderSource);
+        } catch (error) {
+            console.warn('GPU selection pass unavailable, using JS selectors:', error);
+            this.selectionProgram = null;
+        }
+        if (!this.selectionProgram) {
+            return;
+        }
+        
+        this.selectionUniforms = {
+            cells: gl.getUniformLocation(this.selectionProgram, 'u_cells'),
+            gridSize: gl.getUniformLocation(this.selectionProgram, 'u_gridSize'),
+            posterize: gl.getUniformLocation(this.selectionProgram, 'u_posterize'),
+            mode: gl.getUniformLocation(this.selectionProgram, 'u_mode'),
+            spriteCount: gl.getUniformLocation(this.selectionProgram, 'u_spriteCount'),
+            spriteAverages: gl.getUniformLocation(this.selectionProgram, 'u_spriteAverages')
+        };
+        
+        this.selectionAttributes = {
+            corner: gl.getAttribLocation(this.selectionProgram, 'a_corner')
         };
     }
     
@@ -1634,64 +3527,258 @@ class SpriteRasterizer {
     }
     
     initBuffers() {
-        this.vertexBuffer = this.gl.createBuffer();
-        this.indexBuffer = this.gl.createBuffer();
+        const gl = this.gl;
+        
+        // Static unit quad shared by every cell (triangle strip order)
+        this.quadBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([0, 0, 1, 0, 0, 1, 1, 1]), gl.STATIC_DRAW);
+        
+        this.cellBuffer = gl.createBuffer();
+        this.spriteIndexBuffer = gl.createBuffer();
+        this.cellColorBuffer = gl.createBuffer();
+        
+        if (!this.instancing) {
+            // Without instancing every cell is expanded to 4 vertices and drawn in
+            // chunks small enough for 16-bit indices, all sharing one index buffer
+            const indices = new Uint16Array(MAX_QUADS_PER_CHUNK * 6);
+            for (let i = 0; i < MAX_QUADS_PER_CHUNK; i++) {
+                const v = i * 4;
+                indices.set([v, v + 1, v + 2, v + 2, v + 1, v + 3], i * 6);
+            }
+            this.chunkIndexBuffer = gl.createBuffer();
+            gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.chunkIndexBuffer);
+            gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, indices, gl.STATIC_DRAW);
+        }
     }
     
-    async generateTextureAtlas(sprites) {
-        const maxTextureSize = this.gl.getParameter(this.gl.MAX_TEXTURE_SIZE);
-        const spriteCount = sprites.length;
-        
-        if (spriteCount === 0) return null;
+    // Allocate the per-cell buffers for a grid size. Cell positions never change
+    // for a given size, so only the sprite indices are uploaded each frame.
+    ensureGridBuffers(gridWidth, gridHeight) {
+        if (this.gridBufferWidth === gridWidth && this.gridBufferHeight === gridHeight) {
+            return;
+        }
         
-        // Calculate atlas layout
-        const cols = Math.ceil(Math.sqrt(spriteCount));
-        const rows = Math.ceil(spriteCount / cols);
+        const rects = new Float32Array(gridWidth * gridHeight * 4);
+        let offset = 0;
         
-        const spriteWidth = sprites[0].normalizedWidth;
-        const spriteHeight = sprites[0].normalizedHeight;
+        for (let y = 0; y < gridHeight; y++) {
+            for (let x = 0; x < gridWidth; x++) {
+                rects[offset++] = x;
+                rects[offset++] = y;
+                rects[offset++] = 1;
+                rects[offset++] = 1;
+            }
+        }
         
-        const atlasWidth = cols * spriteWidth;
-        const atlasHeight = rows * spriteHeight;
+        this.uploadCellRects(rects, this.gl.STATIC_DRAW);
+        this.gridBufferWidth = gridWidth;
+        this.gridBufferHeight = gridHeight;
+    }
+    
+    // Upload one (x, y, width, height) rect per cell, in cell units, and size the
+    // sprite index and color buffers to match. Lattices pass unit cells; quadtree
+    // frames pass their leaves.
+    uploadCellRects(rects, usage) {
+        const gl = this.gl;
+        const cellCount = rects.length / 4;
+        const verticesPerCell = this.instancing ? 1 : 4;
         
-        if (atlasWidth > maxTextureSize || atlasHeight > maxTextureSize) {
-            throw new Error(`Atlas too large: ${atlasWidth}x${atlasHeight}, max: ${maxTextureSize}`);
+        // Instanced: (x, y, width, height) per cell
+        // Chunked:   (cornerX, cornerY, x, y, width, height) per vertex
+        let cellData = rects;
+        if (!this.instancing) {
+            cellData = new Float32Array(cellCount * 4 * 6);
+            const corners = [0, 0, 1, 0, 0, 1, 1, 1];
+            let offset = 0;
+            
+            for (let i = 0; i < cellCount; i++) {
+                for (let c = 0; c < 4; c++) {
+                    cellData[offset++] = corners[c * 2];
+                    cellData[offset++] = corners[c * 2 + 1];
+                    cellData.set(rects.subarray(i * 4, i * 4 + 4), offset);
+                    offset += 4;
+                }
+            }
         }
         
-        // Create atlas canvas
-        const canvas = document.createElement('canvas');
-        canvas.width = atlasWidth;
-        canvas.height = atlasHeight;
-        const ctx = canvas.getContext('2d');
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.cellBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, cellData, usage);
         
-        // Clear to transparent and ensure alpha channel is preserved
-        ctx.clearRect(0, 0, atlasWidth, atlasHeight);
+        if (this.cellCount !== cellCount || !this.spriteIndexData) {
+            this.spriteIndexData = new Float32Array(cellCount * verticesPerCell);
+            gl.bindBuffer(gl.ARRAY_BUFFER, this.spriteIndexBuffer);
+            gl.bufferData(gl.ARRAY_BUFFER, this.spriteIndexData.byteLength, gl.DYNAMIC_DRAW);
+            
+            // RGBA bytes per cell (per vertex when chunked)
+            this.cellColorData = this.instancing ? null : new Uint8Array(cellCount * 4 * 4);
+            gl.bindBuffer(gl.ARRAY_BUFFER, this.cellColorBuffer);
+            gl.bufferData(gl.ARRAY_BUFFER, cellCount * verticesPerCell * 4, gl.DYNAMIC_DRAW);
+        }
         
-        // Enable proper alpha blending for transparency
-        ctx.globalCompositeOperation = 'source-over';
+        this.cellCount = cellCount;
         
-        // Pack sprites and generate UV coordinates
-        const spriteUVs = [];
+        // The lattice has to be rebuilt after any other set of rects
+        this.gridBufferWidth = 0;
+        this.gridBufferHeight = 0;
+    }
+    
+    // Copy sprite indices into the preallocated per-cell buffer
+    uploadSpriteIndices(spriteIndices, gridWidth, gridHeight) {
+        const verticesPerCell = this.instancing ? 1 : 4;
+        const spriteCount = this.atlas.spriteAverages.length;
+        const data = this.spriteIndexData;
         
-        for (let i = 0; i < sprites.length; i++) {
-            const col = i % cols;
-            const row = Math.floor(i / cols);
-            const x = col * spriteWidth;
-            const y = row * spriteHeight;
+        for (let i = 0; i < gridWidth * gridHeight; i++) {
+            let spriteIndex = spriteIndices[i];
             
-            // Draw sprite to atlas
-            ctx.drawImage(sprites[i].image, x, y, spriteWidth, spriteHeight);
-            
-            // Calculate UV coordinates (normalized 0-1)
-            const u = x / atlasWidth;
-            const v = y / atlasHeight;
-            const w = spriteWidth / atlasWidth;
-            const h = spriteHeight / atlasHeight;
+            // Additional safety validation at render time; -1 marks an empty cell
+            if (spriteIndex === undefined || spriteIndex === null || isNaN(spriteIndex) || 
+                spriteIndex < -1 || spriteIndex >= spriteCount) {
+                console.warn(`Invalid sprite index at (${i % gridWidth}, ${Math.floor(i / gridWidth)}):`, spriteIndex, 'defaulting to 0');
+                spriteIndex = 0;
+            }
             
-            spriteUVs.push([u, v, w, h]);
+            if (verticesPerCell === 1) {
+                data[i] = spriteIndex;
+            } else {
+                data.fill(spriteIndex, i * 4, i * 4 + 4);
+            }
         }
         
-        // Create WebGL texture
+        this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.spriteIndexBuffer);
+        this.gl.bufferSubData(this.gl.ARRAY_BUFFER, 0, data);
+    }
+    
+    // Copy per-cell source colors (RGBA bytes, one pixel per cell) for tinting
+    uploadCellColors(colors) {
+        let data = colors;
+        
+        if (!this.instancing) {
+            data = this.cellColorData;
+            for (let i = 0; i < colors.length; i += 4) {
+                for (let v = 0; v < 4; v++) {
+                    data.set(colors.subarray(i, i + 4), i * 4 + v * 4);
+                }
+            }
+        }
+        
+        this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.cellColorBuffer);
+        this.gl.bufferSubData(this.gl.ARRAY_BUFFER, 0, data);
+    }
+    
+    // Issue the draw calls for every cell of the current grid buffers
+    drawCells() {
+        const gl = this.gl;
+        const cellCount = this.cellCount;
+        
+        if (this.instancing) {
+            gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
+            gl.vertexAttribPointer(this.attributes.corner, 2, gl.FLOAT, false, 0, 0);
+            gl.enableVertexAttribArray(this.attributes.corner);
+            this.instancing.vertexAttribDivisor(this.attributes.corner, 0);
+            
+            gl.bindBuffer(gl.ARRAY_BUFFER, this.cellBuffer);
+            gl.vertexAttribPointer(this.attributes.cell, 4, gl.FLOAT, false, 0, 0);
+            gl.enableVertexAttribArray(this.attributes.cell);
+            this.instancing.vertexAttribDivisor(this.attributes.cell, 1);
+            
+            gl.bindBuffer(gl.ARRAY_BUFFER, this.spriteIndexBuffer);
+            gl.vertexAttribPointer(this.attributes.spriteIndex, 1, gl.FLOAT, false, 0, 0);
+            gl.enableVertexAttribArray(this.attributes.spriteIndex);
+            this.instancing.vertexAttribDivisor(this.attributes.spriteIndex, 1);
+            
+            gl.bindBuffer(gl.ARRAY_BUFFER, this.cellColorBuffer);
+            gl.vertexAttribPointer(this.attributes.cellColor, 4, gl.UNSIGNED_BYTE, true, 0, 0);
+            gl.enableVertexAttribArray(this.attributes.cellColor);
+            this.instancing.vertexAttribDivisor(this.attributes.cellColor, 1);
+            
+            this.instancing.drawArraysInstanced(gl.TRIANGLE_STRIP, 0, 4, cellCount);
+            return;
+        }
+        
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.chunkIndexBuffer);
+        gl.enableVertexAttribArray(this.attributes.corner);
+        gl.enableVertexAttribArray(this.attributes.cell);
+        gl.enableVertexAttribArray(this.attributes.spriteIndex);
+        gl.enableVertexAttribArray(this.attributes.cellColor);
+        
+        const stride = 6 * 4; // 6 floats per vertex, 4 bytes per float
+        for (let first = 0; first < cellCount; first += MAX_QUADS_PER_CHUNK) {
+            const quads = Math.min(MAX_QUADS_PER_CHUNK, cellCount - first);
+            const firstVertex = first * 4;
+            
+            gl.bindBuffer(gl.ARRAY_BUFFER, this.cellBuffer);
+            gl.vertexAttribPointer(this.attributes.corner, 2, gl.FLOAT, false, stride, firstVertex * stride);
+            gl.vertexAttribPointer(this.attributes.cell, 4, gl.FLOAT, false, stride, firstVertex * stride + 2 * 4);
+            
+            gl.bindBuffer(gl.ARRAY_BUFFER, this.spriteIndexBuffer);
+            gl.vertexAttribPointer(this.attributes.spriteIndex, 1, gl.FLOAT, false, 0, firstVertex * 4);
+            
+            gl.bindBuffer(gl.ARRAY_BUFFER, this.cellColorBuffer);
+            gl.vertexAttribPointer(this.attributes.cellColor, 4, gl.UNSIGNED_BYTE, true, 0, firstVertex * 4);
+            
+            gl.drawElements(gl.TRIANGLES, quads * 6, gl.UNSIGNED_SHORT, 0);
+        }
+    }
+    
+    async generateTextureAtlas(sprites) {
+        const maxTextureSize = this.gl.getParameter(this.gl.MAX_TEXTURE_SIZE);
+        
+        // Rotated/flipped variants get their own atlas slots right after their sprite
+        const entries = getPaletteEntries(sprites);
+        const spriteCount = entries.length;
+        
+        if (spriteCount === 0) return null;
+        
+        // Calculate atlas layout
+        const cols = Math.ceil(Math.sqrt(spriteCount));
+        const rows = Math.ceil(spriteCount / cols);
+        
+        const spriteWidth = sprites[0].normalizedWidth;
+        const spriteHeight = sprites[0].normalizedHeight;
+        
+        const atlasWidth = cols * spriteWidth;
+        const atlasHeight = rows * spriteHeight;
+        
+        if (atlasWidth > maxTextureSize || atlasHeight > maxTextureSize) {
+            throw new Error(`Atlas too large: ${atlasWidth}x${atlasHeight}, max: ${maxTextureSize}`);
+        }
+        
+        // Create atlas canvas
+        const canvas = document.createElement('canvas');
+        canvas.width = atlasWidth;
+        canvas.height = atlasHeight;
+        const ctx = canvas.getContext('2d');
+        
+        // Clear to transparent and ensure alpha channel is preserved
+        ctx.clearRect(0, 0, atlasWidth, atlasHeight);
+        
+        // Enable proper alpha blending for transparency
+        ctx.globalCompositeOperation = 'source-over';
+        
+        // Pack sprites and generate UV coordinates
+        const spriteUVs = [];
+        
+        for (let i = 0; i < entries.length; i++) {
+            const col = i % cols;
+            const row = Math.floor(i / cols);
+            const x = col * spriteWidth;
+            const y = row * spriteHeight;
+            
+            // Draw sprite to atlas
+            drawSpriteVariant(ctx, entries[i].sprite.image, entries[i].variant, x, y, spriteWidth, spriteHeight);
+            
+            // Calculate UV coordinates (normalized 0-1)
+            const u = x / atlasWidth;
+            const v = y / atlasHeight;
+            const w = spriteWidth / atlasWidth;
+            const h = spriteHeight / atlasHeight;
+            
+            spriteUVs.push([u, v, w, h]);
+        }
+        
+        // Create WebGL texture
         const texture = this.gl.createTexture();
         this.gl.bindTexture(this.gl.TEXTURE_2D, texture);
         this.gl.texImage2D(this.gl.TEXTURE_2D, 0, this.gl.RGBA, this.gl.RGBA, this.gl.UNSIGNED_BYTE, canvas);
@@ -1703,87 +3790,248 @@ class SpriteRasterizer {
         this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_WRAP_T, this.gl.CLAMP_TO_EDGE);
         
         // Pre-calculate sprite averages for selection algorithms
-        const spriteAverages = await this.calculateSpriteAverages(sprites);
+        const spriteAverages = await this.calculateSpriteAverages(entries);
         
         return {
             texture,
+            entries,
             width: atlasWidth,
             height: atlasHeight,
+            spriteWidth,
+            spriteHeight,
             spriteUVs,
             spriteAverages
         };
     }
     
-    async calculateSpriteAverages(sprites) {
+    // Averages describe each sprite as it actually appears on screen: composited
+    // over the canvas background, so glyph coverage and partial alpha count
+    async calculateSpriteAverages(entries) {
         const averages = [];
         
-        for (const sprite of sprites) {
+        for (const { sprite, variant } of entries) {
             const canvas = document.createElement('canvas');
             const ctx = canvas.getContext('2d');
             canvas.width = sprite.normalizedWidth;
             canvas.height = sprite.normalizedHeight;
             
-            ctx.drawImage(sprite.image, 0, 0, sprite.normalizedWidth, sprite.normalizedHeight);
+            ctx.fillStyle = this.backgroundColor;
+            ctx.fillRect(0, 0, sprite.normalizedWidth, sprite.normalizedHeight);
+            drawSpriteVariant(ctx, sprite.image, variant, 0, 0, sprite.normalizedWidth, sprite.normalizedHeight);
             const imageData = ctx.getImageData(0, 0, sprite.normalizedWidth, sprite.normalizedHeight);
             const data = imageData.data;
             
-            let r = 0, g = 0, b = 0, count = 0;
+            let r = 0, g = 0, b = 0;
+            const count = data.length / 4;
+            
+            // Mean luminance over a STRUCTURE_GRID_SIZE square grid, for the structural selector
+            const structure = new Array(STRUCTURE_GRID_SIZE * STRUCTURE_GRID_SIZE).fill(0);
+            const structureCounts = new Array(structure.length).fill(0);
             
             for (let i = 0; i < data.length; i += 4) {
-                if (data[i + 3] > 0) { // Only count non-transparent pixels
-                    r += data[i];
-                    g += data[i + 1];
-                    b += data[i + 2];
-                    count++;
-                }
+                r += data[i];
+                g += data[i + 1];
+                b += data[i + 2];
+                
+                const pixel = i / 4;
+                const px = pixel % sprite.normalizedWidth;
+                const py = Math.floor(pixel / sprite.normalizedWidth);
+                const bin = Math.floor(py * STRUCTURE_GRID_SIZE / sprite.normalizedHeight) * STRUCTURE_GRID_SIZE +
+                    Math.floor(px * STRUCTURE_GRID_SIZE / sprite.normalizedWidth);
+                structure[bin] += 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+                structureCounts[bin]++;
             }
             
+            // Whole numbers, so the GPU selection pass compares them exactly
             if (count > 0) {
-                r /= count;
-                g /= count;
-                b /= count;
+                r = Math.round(r / count);
+                g = Math.round(g / count);
+                b = Math.round(b / count);
+            }
+            
+            for (let i = 0; i < structure.length; i++) {
+                structure[i] = structureCounts[i] > 0 ? structure[i] / structureCounts[i] : 0;
             }
             
             const brightness = 0.299 * r + 0.587 * g + 0.114 * b;
             
-            averages.push({ r, g, b, brightness });
+            // The same average in the spaces used by the perceptual selectors
+            const oklab = rgbToOklab(r, g, b);
+            const lab = rgbToLab(r, g, b);
+            
+            averages.push({ r, g, b, brightness, oklab, lab, structure });
         }
         
         return averages;
     }
     
+    // Background the sprites are composited over when computing their averages.
+    // Call updateAtlas afterwards to recompute them.
+    setBackgroundColor(color) {
+        this.backgroundColor = color;
+    }
+    
+    // Draw a stored mosaic map ({ width, height, indices, colors, aspectRatio })
+    // instead of sampling a source, or null to go back to the live source
+    setMosaic(mosaic) {
+        this.mosaic = mosaic;
+    }
+    
+    // How sprites are tinted by their cell's source color (a TINT_MODES key)
+    setTintMode(mode) {
+        this.tintMode = mode in TINT_MODES ? mode : 'none';
+    }
+    
+    // Solid color drawn behind the sprites on the output canvas, or null to keep it
+    // transparent and let the CSS background show through
+    setCanvasFill(color) {
+        this.canvasFill = color ? hexToRgb(color) : null;
+    }
+    
+    // 'none', an ERROR_DIFFUSION_KERNELS key or a BAYER_MATRICES key
+    setDitherMode(mode) {
+        this.ditherMode = (mode in ERROR_DIFFUSION_KERNELS || mode in BAYER_MATRICES) ? mode : 'none';
+    }
+    
+    // Hysteresis strength and per-cell color smoothing for live video, both 0-1
+    setTemporalCoherence(stability, smoothing) {
+        this.temporalStability = stability;
+        this.colorSmoothing = smoothing;
+    }
+    
+    // Only live sources on a fixed lattice benefit; still images, imported maps and
+    // quadtree leaves (which change shape every frame) bypass the stage, and so does
+    // constrained assignment, which solves the whole grid at once
+    usesTemporalCoherence(source) {
+        return (this.temporalStability > 0 || this.colorSmoothing > 0) &&
+            !this.mosaic && !this.adaptive && !this.usesConstraints() &&
+            source !== null && source.isLive;
+    }
+    
+    // Per-cell history for the temporal stage, reset whenever the grid or palette changes
+    getTemporalState(width, height) {
+        const state = this.temporalState;
+        if (state && state.width === width && state.height === height && state.atlas === this.atlas) {
+            return state;
+        }
+        
+        const cellCount = width * height;
+        this.temporalState = {
+            width,
+            height,
+            atlas: this.atlas,
+            indices: new Int16Array(cellCount).fill(-1),
+            candidates: new Int16Array(cellCount).fill(-1),
+            counts: new Uint8Array(cellCount),
+            colors: null
+        };
+        return this.temporalState;
+    }
+    
+    // Neighborhood repeat radius in cells, maximum cells per sprite (0 for either
+    // turns it off) and whether every sprite has to appear at least once
+    setConstraints(repeatRadius, maxUses, useAll) {
+        this.constraints = { repeatRadius, maxUses, useAll };
+        this.usageReport = null;
+    }
+    
+    usesConstraints() {
+        const { repeatRadius, maxUses, useAll } = this.constraints;
+        return repeatRadius > 0 || maxUses > 0 || useAll;
+    }
+    
+    // mode is 'none', 'plate' or 'chroma'; keyColor is a #rrggbb string. Cells closer
+    // than `tolerance` to the background are emptied and the next `softness` units
+    // fade in (both in 0-255 color units).
+    setBackgroundRemoval(mode, keyColor, tolerance, softness) {
+        this.backgroundRemoval = {
+            mode: ['plate', 'chroma'].includes(mode) ? mode : 'none',
+            keyColor: hexToRgb(keyColor),
+            tolerance,
+            softness
+        };
+    }
+    
+    // Reference frame for 'plate' mode, as a still FrameSource already drawn the way
+    // sources are sampled (mirrored for the webcam), or null to clear it
+    setBackgroundPlate(plate) {
+        this.backgroundPlate = plate;
+        this.plateCells = null;
+    }
+    
+    // Edge glyph mode and its edge strength threshold (0-1, see detectCellEdges)
+    setEdgeMode(enabled, threshold) {
+        this.edgeMode = enabled;
+        this.edgeThreshold = threshold;
+    }
+    
+    // Side of the per-cell luminance grid to sample: what the selector compares,
+    // or the edge detection grid if that is larger
+    getDetailSize() {
+        return this.edgeMode ? Math.max(EDGE_DETAIL_SIZE, this.selector.detailSize) : this.selector.detailSize;
+    }
+    
+    usesBackgroundRemoval() {
+        const mode = this.backgroundRemoval.mode;
+        return mode === 'chroma' || (mode === 'plate' && this.backgroundPlate !== null);
+    }
+    
+    // Adaptive quadtree mode: the grid size is the smallest leaf and blocks whose
+    // luminance standard deviation exceeds `threshold` are subdivided
+    setAdaptive(enabled, threshold) {
+        this.adaptive = enabled;
+        this.detailThreshold = threshold;
+    }
+    
+    // A GRID_LAYOUTS key
+    setLayout(layout) {
+        this.layout = layout in GRID_LAYOUTS ? layout : 'square';
+    }
+    
+    // 'fast' (single drawImage downscale) or a CellSampler mode: 'box', 'median', 'center'
+    setSamplingMode(mode) {
+        this.samplingMode = ['fast', 'box', 'median', 'center'].includes(mode) ? mode : 'fast';
+    }
+    
     setSelectionMode(mode) {
+        this.selectionMode = mode;
         this.selector = createSpriteSelector(mode);
     }
     
+    // Overlapping calls can finish out of order, so only the latest request's atlas
+    // is installed; earlier calls discard theirs and resolve with the latest one
     updateAtlas(sprites) {
-        return this.generateTextureAtlas(sprites).then(atlas => {
+        const request = ++this.atlasRequest;
+        const pending = this.generateTextureAtlas(sprites).then(atlas => {
+            if (request !== this.atlasRequest) {
+                if (atlas.texture) {
+                    this.gl.deleteTexture(atlas.texture);
+                }
+                return this.pendingAtlas;
+            }
+            
             if (this.atlas && this.atlas.texture) {
                 this.gl.deleteTexture(this.atlas.texture);
             }
             this.atlas = atlas;
             return atlas;
         });
+        this.pendingAtlas = pending;
+        return pending;
     }
     
-    render(sourceElement, gridWidth, gridHeight) {
+    render(source, gridWidth, gridHeight) {
         if (!this.atlas || !this.selector) return;
         
         if (sprites.length === 0) return;
         
         // Get source dimensions for aspect ratio calculation
-        let sourceWidth, sourceHeight;
-        if (sourceElement.tagName === 'VIDEO') {
-            sourceWidth = sourceElement.videoWidth || sourceElement.width;
-            sourceHeight = sourceElement.videoHeight || sourceElement.height;
-        } else if (sourceElement.tagName === 'IMG') {
-            sourceWidth = sourceElement.naturalWidth || sourceElement.width;
-            sourceHeight = sourceElement.naturalHeight || sourceElement.height;
-        }
-        
-        if (!sourceWidth || !sourceHeight) {
-            sourceWidth = 320;
-            sourceHeight = 240;
+        let sourceAspectRatio;
+        if (this.mosaic) {
+            sourceAspectRatio = this.mosaic.aspectRatio;
+        } else {
+            const { width: sourceWidth, height: sourceHeight } = getSourceDimensions(source);
+            sourceAspectRatio = sourceWidth / sourceHeight;
         }
         
         // Calculate canvas size to fit in viewport while maintaining aspect ratio
@@ -1791,9 +4039,6 @@ class SpriteRasterizer {
         const maxWidth = containerElement.clientWidth - 40; // Some padding
         const maxHeight = containerElement.clientHeight - 40;
         
-        // Calculate sprite size based on fitting the entire rasterized image in viewport
-        const sourceAspectRatio = sourceWidth / sourceHeight;
-        
         let canvasWidth, canvasHeight;
         
         // Determine which dimension constrains us
@@ -1808,114 +4053,122 @@ class SpriteRasterizer {
         }
         
         // Calculate sprite dimensions - stretch sprites to match grid aspect ratio
-        const spriteWidth = canvasWidth / gridWidth;
-        const spriteHeight = canvasHeight / gridHeight;
+        const spriteWidth = canvasWidth / getLayoutWidth(this.layout, gridWidth, gridHeight);
+        const spriteHeight = canvasHeight / getLayoutHeight(this.layout, gridHeight);
+        
+        this.prepareFrame(source, gridWidth, gridHeight);
         
         this.canvas.width = canvasWidth;
         this.canvas.height = canvasHeight;
         
         this.gl.viewport(0, 0, canvasWidth, canvasHeight);
-        // Clear with transparent background so CSS background shows through
-        this.gl.clearColor(0, 0, 0, 0); // Transparent background
+        if (this.canvasFill) {
+            // Paint the background into the canvas itself (e.g. while recording)
+            this.gl.clearColor(this.canvasFill.r / 255, this.canvasFill.g / 255, this.canvasFill.b / 255, 1);
+        } else {
+            // Clear with transparent background so CSS background shows through
+            this.gl.clearColor(0, 0, 0, 0); // Transparent background
+        }
         this.gl.clear(this.gl.COLOR_BUFFER_BIT);
         
-        
         // Enable blending for transparency
         this.gl.enable(this.gl.BLEND);
         this.gl.blendFunc(this.gl.SRC_ALPHA, this.gl.ONE_MINUS_SRC_ALPHA);
         
-        // Disable depth testing to ensure all sprites render
-        this.gl.disable(this.gl.DEPTH_TEST);
-        
-        // Ensure all triangles are rendered (disable culling)
-        this.gl.disable(this.gl.CULL_FACE);
-        
-        // Get source image data
-        const sourceCanvas = document.createElement('canvas');
-        const sourceCtx = sourceCanvas.getContext('2d');
-        sourceCanvas.width = gridWidth;
-        sourceCanvas.height = gridHeight;
-        
-        // Draw source to canvas at grid resolution
-        if (sourceElement.tagName === 'VIDEO') {
-            // Use mirrored drawing for webcam input
-            const mirroredCtx = createMirroredCanvasContext(sourceElement, sourceCanvas);
-            mirroredCtx.drawImage(sourceElement, 0, 0, gridWidth, gridHeight);
-            restoreCanvasContext(mirroredCtx);
-        } else if (sourceElement.tagName === 'IMG') {
-            sourceCtx.drawImage(sourceElement, 0, 0, gridWidth, gridHeight);
+        this.drawFrame(canvasWidth, canvasHeight, spriteWidth, spriteHeight, 0, 0);
+    }
+    
+    // Sample the source and select a sprite for every cell. The result lives in the
+    // per-cell buffers (or the GPU selection texture) until the next call, so the
+    // same frame can be drawn several times, e.g. once per export tile.
+    // Exports pass `exporting` to select from the current frame alone, like
+    // computeSpriteIndices, without touching the live temporal history.
+    prepareFrame(source, gridWidth, gridHeight, exporting = false) {
+        // Imported mosaic maps already carry their sprite indices
+        if (this.mosaic) {
+            this.ensureGridBuffers(this.mosaic.width, this.mosaic.height);
+            this.frameUsesGpuSelection = false;
+            this.uploadSpriteIndices(this.mosaic.indices, this.mosaic.width, this.mosaic.height);
+            this.uploadCellColors(this.mosaic.colors);
+            return;
         }
         
-        const imageData = sourceCtx.getImageData(0, 0, gridWidth, gridHeight);
+        // Quadtree leaves replace the lattice and are selected on the CPU
+        if (this.adaptive) {
+            const tree = this.computeQuadtree(source, gridWidth, gridHeight);
+            this.frameUsesGpuSelection = false;
+            this.uploadCellRects(tree.leaves, this.gl.DYNAMIC_DRAW);
+            this.uploadSpriteIndices(tree.indices, tree.indices.length, 1);
+            this.uploadCellColors(tree.colors.data);
+            return;
+        }
         
-        // Generate sprite indices
-        const spriteIndices = this.generateSpriteIndices(imageData, gridWidth, gridHeight);
+        // Update the preallocated per-cell buffers
+        this.ensureGridBuffers(gridWidth, gridHeight);
         
-        // Create geometry
-        const vertices = [];
-        const indices = [];
-        let vertexIndex = 0;
+        const temporal = !exporting && this.usesTemporalCoherence(source);
+        if (!temporal && !exporting) {
+            this.temporalState = null;
+        }
         
-        for (let y = 0; y < gridHeight; y++) {
-            for (let x = 0; x < gridWidth; x++) {
-                let spriteIndex = spriteIndices[y * gridWidth + x];
-                
-                // Additional safety validation at render time
-                if (spriteIndex === undefined || spriteIndex === null || isNaN(spriteIndex) || 
-                    spriteIndex < 0 || spriteIndex >= this.atlas.spriteAverages.length) {
-                    console.warn(`Invalid sprite index at (${x}, ${y}):`, spriteIndex, 'defaulting to 0');
-                    spriteIndex = 0;
-                }
-                
-                // Quad vertices (position, texCoord, spriteIndex)
-                vertices.push(
-                    x, y, 0, 0, spriteIndex,           // Top-left
-                    x + 1, y, 1, 0, spriteIndex,       // Top-right
-                    x + 1, y + 1, 1, 1, spriteIndex,   // Bottom-right
-                    x, y + 1, 0, 1, spriteIndex        // Bottom-left
-                );
-                
-                // Two triangles per quad
-                indices.push(
-                    vertexIndex, vertexIndex + 1, vertexIndex + 2,
-                    vertexIndex, vertexIndex + 2, vertexIndex + 3
-                );
-                
-                vertexIndex += 4;
-            }
+        // Select sprites on the GPU when possible, otherwise fall back to the JS selectors.
+        // The temporal stage needs each cell's history, so it keeps selection on the CPU.
+        this.frameUsesGpuSelection = !temporal && this.canUseGpuSelection();
+        if (this.frameUsesGpuSelection) {
+            // Only the fast path can hand the grid-resolution canvas straight to the GPU
+            const cells = this.usesFastSampling()
+                ? this.drawSourceToGrid(source, gridWidth, gridHeight)
+                : this.sampleSource(source, gridWidth, gridHeight).imageData;
+            this.runGpuSelection(cells, gridWidth, gridHeight);
+        } else {
+            const { imageData, detail } = this.sampleCells(source, gridWidth, gridHeight);
+            const spriteIndices = this.generateSpriteIndices(imageData, gridWidth, gridHeight, detail, temporal);
+            this.uploadSpriteIndices(spriteIndices, gridWidth, gridHeight);
+            this.uploadCellColors(imageData.data);
         }
+    }
+    
+    // Draw the prepared frame into the current viewport. offsetX/offsetY shift the
+    // grid so a large image can be drawn one tile at a time.
+    drawFrame(width, height, spriteWidth, spriteHeight, offsetX, offsetY) {
+        // Disable depth testing to ensure all sprites render
+        this.gl.disable(this.gl.DEPTH_TEST);
+        
+        // Ensure all triangles are rendered (disable culling)
+        this.gl.disable(this.gl.CULL_FACE);
         
         // Use the shader program
         this.gl.useProgram(this.program);
         
-        // Upload vertex data
-        this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.vertexBuffer);
-        this.gl.bufferData(this.gl.ARRAY_BUFFER, new Float32Array(vertices), this.gl.DYNAMIC_DRAW);
-        
-        // Upload index data
-        this.gl.bindBuffer(this.gl.ELEMENT_ARRAY_BUFFER, this.indexBuffer);
-        this.gl.bufferData(this.gl.ELEMENT_ARRAY_BUFFER, new Uint16Array(indices), this.gl.DYNAMIC_DRAW);
-        
-        // Set up attributes
-        const stride = 5 * 4; // 5 floats per vertex, 4 bytes per float
-        this.gl.vertexAttribPointer(this.attributes.position, 2, this.gl.FLOAT, false, stride, 0);
-        this.gl.vertexAttribPointer(this.attributes.texCoord, 2, this.gl.FLOAT, false, stride, 2 * 4);
-        this.gl.vertexAttribPointer(this.attributes.spriteIndex, 1, this.gl.FLOAT, false, stride, 4 * 4);
-        
-        this.gl.enableVertexAttribArray(this.attributes.position);
-        this.gl.enableVertexAttribArray(this.attributes.texCoord);
-        this.gl.enableVertexAttribArray(this.attributes.spriteIndex);
-        
         // Set uniforms
-        this.gl.uniform2f(this.uniforms.resolution, canvasWidth, canvasHeight);
+        this.gl.uniform2f(this.uniforms.resolution, width, height);
         this.gl.uniform2f(this.uniforms.spriteSize, spriteWidth, spriteHeight);
+        this.gl.uniform2f(this.uniforms.offset, offsetX, offsetY);
         this.gl.uniform2f(this.uniforms.atlasSize, this.atlas.width, this.atlas.height);
+        this.gl.uniform2f(this.uniforms.gridSize, this.gridBufferWidth, this.gridBufferHeight);
+        this.gl.uniform1i(this.uniforms.useIndexTexture, this.frameUsesGpuSelection ? 1 : 0);
+        this.gl.uniform1i(this.uniforms.tintMode, TINT_MODES[this.tintMode]);
         
-        // Bind texture
+        const layout = GRID_LAYOUTS[this.layout];
+        this.gl.uniform1f(this.uniforms.rowStep, layout.rowStep);
+        this.gl.uniform1f(this.uniforms.rowOffset, layout.rowOffset);
+        this.gl.uniform1i(this.uniforms.cellShape, layout.shape);
+        this.gl.uniform1i(this.uniforms.maskAlpha, this.usesBackgroundRemoval() && !this.mosaic ? 1 : 0);
+        
+        // Bind textures
         this.gl.activeTexture(this.gl.TEXTURE0);
         this.gl.bindTexture(this.gl.TEXTURE_2D, this.atlas.texture);
         this.gl.uniform1i(this.uniforms.atlas, 0);
         
+        this.gl.activeTexture(this.gl.TEXTURE1);
+        this.gl.bindTexture(this.gl.TEXTURE_2D, this.frameUsesGpuSelection ? this.selectionTexture : null);
+        this.gl.uniform1i(this.uniforms.spriteIndices, 1);
+        
+        this.gl.activeTexture(this.gl.TEXTURE2);
+        this.gl.bindTexture(this.gl.TEXTURE_2D, this.frameUsesGpuSelection ? this.cellColorTexture : null);
+        this.gl.uniform1i(this.uniforms.cellColors, 2);
+        this.gl.activeTexture(this.gl.TEXTURE0);
+        
         // Set sprite UVs
         const uvArray = new Float32Array(32 * 4);
         for (let i = 0; i < Math.min(32, this.atlas.spriteUVs.length); i++) {
@@ -1927,294 +4180,3860 @@ class SpriteRasterizer {
         }
         this.gl.uniform4fv(this.uniforms.spriteUVs, uvArray);
         
-        // Draw all triangles
-        this.gl.drawElements(this.gl.TRIANGLES, indices.length, this.gl.UNSIGNED_SHORT, 0);
+        // Draw one quad per cell
+        this.drawCells();
         
         // Check for WebGL errors
         const error = this.gl.getError();
         if (error !== this.gl.NO_ERROR) {
-            console.error('WebGL error during drawing:', error, 'Triangles:', indices.length / 3);
+            console.error('WebGL error during drawing:', error, 'Cells:', this.cellCount);
         }
     }
     
-    generateSpriteIndices(imageData, width, height) {
-        const data = imageData.data;
-        const indices = new Array(width * height);
-        
-        // Use number of sprites as the posterization levels, modified by threshold slider
-        const spriteCount = this.atlas.spriteAverages.length;
-        const thresholdMultiplier = parseFloat(threshold.value);
-        const thresholdLevels = Math.max(2, Math.round(spriteCount * thresholdMultiplier));
-        const step = 255 / (thresholdLevels - 1);
-        
-        for (let i = 0; i < width * height; i++) {
-            const pixelIndex = i * 4;
-            let r = data[pixelIndex];
-            let g = data[pixelIndex + 1];
-            let b = data[pixelIndex + 2];
-            const a = data[pixelIndex + 3];
-            
-            if (a === 0) {
-                indices[i] = 0; // Use first sprite for transparent pixels
-            } else {
-                // Apply posterization effect based on sprite count
-                r = Math.round(r / step) * step;
-                g = Math.round(g / step) * step;
-                b = Math.round(b / step) * step;
-                
-                // Clamp values to 0-255 range
-                r = Math.min(255, Math.max(0, r));
-                g = Math.min(255, Math.max(0, g));
-                b = Math.min(255, Math.max(0, b));
-                
-                let spriteIndex = this.selector.selectSprite({ r, g, b }, this.atlas.spriteAverages);
-                
-                // Ensure we always have a valid sprite index
-                if (spriteIndex === undefined || spriteIndex === null || spriteIndex < 0 || spriteIndex >= spriteCount) {
-                    spriteIndex = 0; // Fallback to first sprite
-                }
-                
-                indices[i] = spriteIndex;
-            }
+    // Render the current source offscreen with every cell at cellWidth x cellHeight
+    // (the output size follows the layout, see getGridPixelSize)
+    // pixels and return a 2D canvas. Images larger than the GPU limits are drawn in
+    // tiles through a framebuffer and stitched together.
+    renderToCanvas(source, gridWidth, gridHeight, cellWidth, cellHeight, backgroundColor = null) {
+        if (!this.atlas || !this.selector) {
+            throw new Error('Nothing to export - add at least 2 sprites');
         }
         
-        return indices;
-    }
-}
-
-//==============================================================================
-// SPRITE SELECTION ALGORITHMS
-//==============================================================================
-class SpriteSelector {
-    selectSprite() {
-        return 0;
-    }
-}
-
-class ColorSpriteSelector extends SpriteSelector {
-    selectSprite(regionData, spriteAverages) {
-        // Safety check: ensure we have sprites
-        if (!spriteAverages || spriteAverages.length === 0) {
-            return 0;
+        const gl = this.gl;
+        const { width: outputWidth, height: outputHeight } =
+            getGridPixelSize(this.layout, gridWidth, gridHeight, cellWidth, cellHeight);
+        
+        if (outputWidth > MAX_EXPORT_DIMENSION || outputHeight > MAX_EXPORT_DIMENSION) {
+            throw new Error(`Export too large: ${outputWidth}x${outputHeight}, max: ${MAX_EXPORT_DIMENSION}x${MAX_EXPORT_DIMENSION}`);
         }
         
-        let bestIndex = 0;
-        let bestDistance = Infinity;
+        const maxViewport = gl.getParameter(gl.MAX_VIEWPORT_DIMS);
+        const maxTileSize = Math.min(
+            gl.getParameter(gl.MAX_TEXTURE_SIZE),
+            gl.getParameter(gl.MAX_RENDERBUFFER_SIZE),
+            maxViewport[0],
+            maxViewport[1],
+            MAX_EXPORT_TILE_SIZE
+        );
+        const tileWidth = Math.min(maxTileSize, outputWidth);
+        const tileHeight = Math.min(maxTileSize, outputHeight);
+        
+        this.prepareFrame(source, gridWidth, gridHeight, true);
+        
+        // One framebuffer-backed texture is reused for every tile
+        const tileTexture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, tileTexture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, tileWidth, tileHeight, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
         
-        const { r, g, b } = regionData;
+        const framebuffer = gl.createFramebuffer();
+        gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, tileTexture, 0);
         
-        for (let i = 0; i < spriteAverages.length; i++) {
-            const sprite = spriteAverages[i];
-            if (!sprite) continue; // Skip invalid sprites
+        const output = document.createElement('canvas');
+        output.width = outputWidth;
+        output.height = outputHeight;
+        const outputCtx = output.getContext('2d');
+        
+        const background = backgroundColor ? hexToRgb(backgroundColor) : null;
+        const pixels = new Uint8Array(tileWidth * tileHeight * 4);
+        
+        try {
+            gl.viewport(0, 0, tileWidth, tileHeight);
             
-            const distance = Math.sqrt(
-                Math.pow(r - sprite.r, 2) +
-                Math.pow(g - sprite.g, 2) +
-                Math.pow(b - sprite.b, 2)
-            );
+            // Keep correct coverage in the alpha channel (colors come out premultiplied)
+            gl.enable(gl.BLEND);
+            gl.blendFuncSeparate(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA, gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
             
-            if (distance < bestDistance) {
-                bestDistance = distance;
-                bestIndex = i;
+            for (let tileY = 0; tileY < outputHeight; tileY += tileHeight) {
+                for (let tileX = 0; tileX < outputWidth; tileX += tileWidth) {
+                    if (background) {
+                        gl.clearColor(background.r / 255, background.g / 255, background.b / 255, 1);
+                    } else {
+                        gl.clearColor(0, 0, 0, 0);
+                    }
+                    gl.clear(gl.COLOR_BUFFER_BIT);
+                    
+                    this.drawFrame(tileWidth, tileHeight, cellWidth, cellHeight, tileX, tileY);
+                    gl.readPixels(0, 0, tileWidth, tileHeight, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+                    
+                    // readPixels returns rows bottom-up; also undo the premultiplication
+                    const width = Math.min(tileWidth, outputWidth - tileX);
+                    const height = Math.min(tileHeight, outputHeight - tileY);
+                    const tile = outputCtx.createImageData(width, height);
+                    
+                    for (let y = 0; y < height; y++) {
+                        const srcRow = (tileHeight - 1 - y) * tileWidth * 4;
+                        const dstRow = y * width * 4;
+                        for (let x = 0; x < width * 4; x += 4) {
+                            const alpha = pixels[srcRow + x + 3];
+                            const scale = alpha > 0 && alpha < 255 ? 255 / alpha : 1;
+                            tile.data[dstRow + x] = Math.min(255, pixels[srcRow + x] * scale);
+                            tile.data[dstRow + x + 1] = Math.min(255, pixels[srcRow + x + 1] * scale);
+                            tile.data[dstRow + x + 2] = Math.min(255, pixels[srcRow + x + 2] * scale);
+                            tile.data[dstRow + x + 3] = alpha;
+                        }
+                    }
+                    
+                    outputCtx.putImageData(tile, tileX, tileY);
+                }
             }
+        } finally {
+            gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+            gl.deleteFramebuffer(framebuffer);
+            gl.deleteTexture(tileTexture);
+            gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
         }
         
-        // Ensure valid index
-        return Math.max(0, Math.min(bestIndex, spriteAverages.length - 1));
+        return output;
     }
-}
-
-class BrightnessSpriteSelector extends SpriteSelector {
-    selectSprite(regionData, spriteAverages) {
-        // Safety check: ensure we have sprites
-        if (!spriteAverages || spriteAverages.length === 0) {
-            return 0;
+    
+    // Draw the source into the reusable grid-resolution canvas (one pixel per cell)
+    drawSourceToGrid(source, gridWidth, gridHeight) {
+        if (!this.sourceCanvas) {
+            this.sourceCanvas = document.createElement('canvas');
         }
         
-        let bestIndex = 0;
-        let bestDistance = Infinity;
-        
-        const brightness = 0.299 * regionData.r + 0.587 * regionData.g + 0.114 * regionData.b;
-        
-        for (let i = 0; i < spriteAverages.length; i++) {
-            const sprite = spriteAverages[i];
-            if (!sprite) continue; // Skip invalid sprites
-            
-            const distance = Math.abs(brightness - sprite.brightness);
-            
-            if (distance < bestDistance) {
-                bestDistance = distance;
-                bestIndex = i;
-            }
+        const sourceCanvas = this.sourceCanvas;
+        if (sourceCanvas.width !== gridWidth || sourceCanvas.height !== gridHeight) {
+            sourceCanvas.width = gridWidth;
+            sourceCanvas.height = gridHeight;
         }
         
-        // Ensure valid index
-        return Math.max(0, Math.min(bestIndex, spriteAverages.length - 1));
+        const sourceCtx = sourceCanvas.getContext('2d');
+        sourceCtx.clearRect(0, 0, gridWidth, gridHeight);
+        source.draw(sourceCanvas);
+        
+        return sourceCanvas;
     }
-}
-
-function createSpriteSelector(mode) {
-    switch(mode) {
-        case 'color': return new ColorSpriteSelector();
-        case 'brightness': return new BrightnessSpriteSelector();
-        default: return new ColorSpriteSelector();
+    
+    setGpuSelectionEnabled(enabled) {
+        this.gpuSelectionEnabled = enabled;
     }
-}
-
+    
+    // The GPU pass only implements the plain color and brightness metrics on a
+    // lattice; dithering and constraints depend on other cells, and background removal
+    // and edge glyphs need the sampled cells first, so those stay on the CPU
+    canUseGpuSelection() {
+        return this.gpuSelectionEnabled &&
+            this.selectionProgram !== null &&
+            this.ditherMode === 'none' &&
+            !this.usesConstraints() &&
+            !this.usesBackgroundRemoval() &&
+            !this.edgeMode &&
+            !this.adaptive &&
+            GPU_SELECTION_MODES[this.selectionMode] !== undefined &&
+            this.atlas.spriteAverages.length <= 32;
+    }
+    
+    // Upload the grid-resolution source as a texture and write the nearest sprite
+    // index of every cell into selectionTexture (red channel, index / 255)
+    runGpuSelection(cells, gridWidth, gridHeight) {
+        const gl = this.gl;
+        this.ensureSelectionTargets(gridWidth, gridHeight);
+        
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, this.cellColorTexture);
+        gl.pixelStorei(gl.UNPACK_COLORSPACE_CONVERSION_WEBGL, gl.NONE);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, cells);
+        gl.pixelStorei(gl.UNPACK_COLORSPACE_CONVERSION_WEBGL, gl.BROWSER_DEFAULT_WEBGL);
+        
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.selectionFramebuffer);
+        gl.viewport(0, 0, gridWidth, gridHeight);
+        gl.disable(gl.BLEND);
+        
+        gl.useProgram(this.selectionProgram);
+        gl.uniform1i(this.selectionUniforms.cells, 0);
+        gl.uniform2f(this.selectionUniforms.gridSize, gridWidth, gridHeight);
+        gl.uniform1i(this.selectionUniforms.mode, GPU_SELECTION_MODES[this.selectionMode]);
+        gl.uniform1i(this.selectionUniforms.spriteCount, this.atlas.spriteAverages.length);
+        
+        // Posterization table on unit 1 (the render pass rebinds it to the index texture)
+        if (!this.posterizeTexture) {
+            this.posterizeTexture = gl.createTexture();
+            gl.bindTexture(gl.TEXTURE_2D, this.posterizeTexture);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        }
+        gl.activeTexture(gl.TEXTURE1);
+        gl.bindTexture(gl.TEXTURE_2D, this.posterizeTexture);
+        gl.pixelStorei(gl.UNPACK_ALIGNMENT, 1);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.LUMINANCE, 256, 1, 0, gl.LUMINANCE, gl.UNSIGNED_BYTE,
+            getPosterizationTable(this.atlas.spriteAverages.length));
+        gl.pixelStorei(gl.UNPACK_ALIGNMENT, 4);
+        gl.uniform1i(this.selectionUniforms.posterize, 1);
+        gl.activeTexture(gl.TEXTURE0);
+        
+        const averages = new Float32Array(32 * 4);
+        this.atlas.spriteAverages.forEach((average, i) => {
+            averages.set([average.r, average.g, average.b, 0], i * 4);
+        });
+        gl.uniform4fv(this.selectionUniforms.spriteAverages, averages);
+        
+        // Full-screen quad built from the shared unit quad
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
+        gl.vertexAttribPointer(this.selectionAttributes.corner, 2, gl.FLOAT, false, 0, 0);
+        gl.enableVertexAttribArray(this.selectionAttributes.corner);
+        if (this.instancing) {
+            this.instancing.vertexAttribDivisor(this.selectionAttributes.corner, 0);
+        }
+        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+        
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    }
+    
+    // Allocate the cell color texture and the sprite index render target for a grid size
+    ensureSelectionTargets(gridWidth, gridHeight) {
+        if (this.selectionTargetWidth === gridWidth && this.selectionTargetHeight === gridHeight) {
+            return;
+        }
+        
+        const gl = this.gl;
+        const createGridTexture = (texture) => {
+            texture = texture || gl.createTexture();
+            gl.bindTexture(gl.TEXTURE_2D, texture);
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gridWidth, gridHeight, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+            return texture;
+        };
+        
+        this.cellColorTexture = createGridTexture(this.cellColorTexture);
+        this.selectionTexture = createGridTexture(this.selectionTexture);
+        
+        if (!this.selectionFramebuffer) {
+            this.selectionFramebuffer = gl.createFramebuffer();
+        }
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.selectionFramebuffer);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.selectionTexture, 0);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        
+        this.selectionTargetWidth = gridWidth;
+        this.selectionTargetHeight = gridHeight;
+    }
+    
+    // Run the JS selection path once and return the per-cell source colors and
+    // sprite indices, for exports that need the grid as data rather than pixels
+    computeSpriteIndices(source, gridWidth, gridHeight) {
+        if (!this.atlas || !this.selector) {
+            throw new Error('Nothing to export - add at least 2 sprites');
+        }
+        
+        if (this.mosaic) {
+            return {
+                imageData: new ImageData(new Uint8ClampedArray(this.mosaic.colors), this.mosaic.width, this.mosaic.height),
+                indices: this.mosaic.indices
+            };
+        }
+        
+        // Quadtree leaves are expanded back onto the grid; `leaves` keeps their real
+        // rects and sprite indices for exports that can draw variable sizes
+        if (this.adaptive) {
+            const tree = this.computeQuadtree(source, gridWidth, gridHeight);
+            const indices = new Array(gridWidth * gridHeight);
+            
+            for (let i = 0; i < tree.indices.length; i++) {
+                const [x, y, width, height] = tree.leaves.subarray(i * 4, i * 4 + 4);
+                for (let cy = y; cy < y + height; cy++) {
+                    indices.fill(tree.indices[i], cy * gridWidth + x, cy * gridWidth + x + width);
+                }
+            }
+            
+            return { imageData: tree.imageData, indices, leaves: { rects: tree.leaves, indices: tree.indices } };
+        }
+        
+        const { imageData, detail } = this.sampleCells(source, gridWidth, gridHeight);
+        const indices = this.generateSpriteIndices(imageData, gridWidth, gridHeight, detail);
+        
+        return { imageData, indices };
+    }
+    
+    // Edge glyph state for a frame: the edge angle of every cell (see detectCellEdges),
+    // each palette entry's direction, and the entries left for non-edge cells.
+    // null when edge mode is off or no sprite is directional.
+    getEdgeContext(detail, cellCount) {
+        if (!this.edgeMode || !detail) {
+            return null;
+        }
+        
+        const directions = this.atlas.entries.map(getEntryDirection);
+        if (directions.every(direction => direction === null)) {
+            return null;
+        }
+        
+        const size = Math.round(Math.sqrt(detail.length / cellCount));
+        const edges = detectCellEdges(detail, cellCount, size, this.edgeThreshold);
+        
+        // Directional sprites are reserved for edges unless they make up the whole palette
+        let plainIndices = directions.flatMap((direction, i) => direction === null ? [i] : []);
+        if (plainIndices.length === 0) {
+            plainIndices = directions.map((direction, i) => i);
+        }
+        
+        return { edges, directions, plainIndices };
+    }
+    
+    // Palette entries whose direction is closest to an edge angle
+    getEdgeSprites(angle, directions) {
+        let bestDifference = Infinity;
+        let matches = [];
+        directions.forEach((direction, i) => {
+            if (direction === null) return;
+            const difference = getAngleDifference(angle, direction);
+            if (difference < bestDifference) {
+                bestDifference = difference;
+                matches = [i];
+            } else if (difference === bestDifference) {
+                matches.push(i);
+            }
+        });
+        return matches;
+    }
+    
+    // Sample the source at grid resolution and select a sprite for every quadtree leaf
+    computeQuadtree(source, gridWidth, gridHeight) {
+        const { imageData } = this.sampleCells(source, gridWidth, gridHeight);
+        const tree = buildQuadtree(imageData, gridWidth, gridHeight, this.detailThreshold, this.getDetailSize());
+        const leafCount = tree.leaves.length / 4;
+        const indices = this.generateSpriteIndices(tree.colors, leafCount, 1, tree.detail, false,
+            { rects: tree.leaves, gridWidth, gridHeight });
+        
+        return { imageData, leaves: tree.leaves, colors: tree.colors, indices };
+    }
+    
+    // sampleSource followed by the background removal mask
+    sampleCells(source, gridWidth, gridHeight) {
+        const cells = this.sampleSource(source, gridWidth, gridHeight);
+        if (this.usesBackgroundRemoval()) {
+            this.applyBackgroundMask(cells.imageData, gridWidth, gridHeight);
+        }
+        return cells;
+    }
+    
+    // The background plate sampled exactly like the live cells, cached per grid
+    getPlateCells(gridWidth, gridHeight) {
+        const key = `${gridWidth}x${gridHeight}:${this.layout}:${this.samplingMode}`;
+        if (!this.plateCells || this.plateCells.key !== key) {
+            const { imageData } = this.sampleSource(this.backgroundPlate, gridWidth, gridHeight);
+            this.plateCells = { key, data: imageData.data };
+        }
+        return this.plateCells.data;
+    }
+    
+    // Scale each cell's alpha by how far its color is from the background: the
+    // matching plate cell in 'plate' mode (RMS channel difference) or the key color
+    // in 'chroma' mode (distance between YCbCr chroma vectors scaled to the key's
+    // luma, so shadows and highlights on the screen still key). Fully masked cells
+    // end up at alpha 0 and are left empty.
+    applyBackgroundMask(imageData, gridWidth, gridHeight) {
+        const { mode, keyColor, tolerance, softness } = this.backgroundRemoval;
+        const data = imageData.data;
+        const plate = mode === 'plate' ? this.getPlateCells(gridWidth, gridHeight) : null;
+        
+        const keyLuma = Math.max(32, 0.299 * keyColor.r + 0.587 * keyColor.g + 0.114 * keyColor.b);
+        // The luma floor stops near-black noise from being amplified into strong chroma
+        const chroma = (r, g, b) => {
+            const scale = keyLuma / Math.max(32, 0.299 * r + 0.587 * g + 0.114 * b);
+            return [
+                (-0.168736 * r - 0.331264 * g + 0.5 * b) * scale,
+                (0.5 * r - 0.418688 * g - 0.081312 * b) * scale
+            ];
+        };
+        const [keyCb, keyCr] = chroma(keyColor.r, keyColor.g, keyColor.b);
+        
+        for (let p = 0; p < data.length; p += 4) {
+            if (data[p + 3] === 0) continue;
+            
+            let distance;
+            if (plate) {
+                const dr = data[p] - plate[p];
+                const dg = data[p + 1] - plate[p + 1];
+                const db = data[p + 2] - plate[p + 2];
+                distance = Math.sqrt((dr * dr + dg * dg + db * db) / 3);
+            } else {
+                const [cb, cr] = chroma(data[p], data[p + 1], data[p + 2]);
+                distance = Math.hypot(cb - keyCb, cr - keyCr);
+            }
+            
+            const mask = softness > 0
+                ? Math.min(1, Math.max(0, (distance - tolerance) / softness))
+                : (distance > tolerance ? 1 : 0);
+            // Rounds to 0 for the faintest edge cells, which are then dropped too
+            data[p + 3] = data[p + 3] * mask;
+        }
+    }
+    
+    usesFastSampling() {
+        return this.samplingMode === 'fast' && this.layout === 'square';
+    }
+    
+    // Sample the source into one color per cell. When getDetailSize() is above 1 this
+    // also returns a detailSize x detailSize luminance grid per cell as `detail`
+    // (cell-major, row-major within the cell).
+    sampleSource(source, gridWidth, gridHeight) {
+        const detailSize = this.getDetailSize();
+        
+        if (!this.usesFastSampling()) {
+            if (!this.cellSampler) {
+                this.cellSampler = new CellSampler();
+            }
+            // The fast downscale can't follow offset cell centers, so those layouts box-average
+            const mode = this.samplingMode === 'fast' ? 'box' : this.samplingMode;
+            return this.cellSampler.sample(source, gridWidth, gridHeight, mode, detailSize, this.layout);
+        }
+        
+        if (detailSize <= 1) {
+            const sourceCanvas = this.drawSourceToGrid(source, gridWidth, gridHeight);
+            const imageData = sourceCanvas.getContext('2d').getImageData(0, 0, gridWidth, gridHeight);
+            return { imageData, detail: null };
+        }
+        
+        const sampleWidth = gridWidth * detailSize;
+        const sampleHeight = gridHeight * detailSize;
+        const sourceCanvas = this.drawSourceToGrid(source, sampleWidth, sampleHeight);
+        const samples = sourceCanvas.getContext('2d').getImageData(0, 0, sampleWidth, sampleHeight).data;
+        
+        const imageData = new ImageData(gridWidth, gridHeight);
+        const cellData = imageData.data;
+        const samplesPerCell = detailSize * detailSize;
+        const detail = new Float32Array(gridWidth * gridHeight * samplesPerCell);
+        
+        for (let cy = 0; cy < gridHeight; cy++) {
+            for (let cx = 0; cx < gridWidth; cx++) {
+                const cell = cy * gridWidth + cx;
+                let r = 0, g = 0, b = 0, a = 0;
+                
+                for (let sy = 0; sy < detailSize; sy++) {
+                    for (let sx = 0; sx < detailSize; sx++) {
+                        const sampleIndex = ((cy * detailSize + sy) * sampleWidth + cx * detailSize + sx) * 4;
+                        const sr = samples[sampleIndex];
+                        const sg = samples[sampleIndex + 1];
+                        const sb = samples[sampleIndex + 2];
+                        
+                        r += sr;
+                        g += sg;
+                        b += sb;
+                        a += samples[sampleIndex + 3];
+                        detail[cell * samplesPerCell + sy * detailSize + sx] = 0.299 * sr + 0.587 * sg + 0.114 * sb;
+                    }
+                }
+                
+                cellData[cell * 4] = r / samplesPerCell;
+                cellData[cell * 4 + 1] = g / samplesPerCell;
+                cellData[cell * 4 + 2] = b / samplesPerCell;
+                // Only fully transparent cells stay at alpha 0
+                cellData[cell * 4 + 3] = a > 0 ? Math.max(1, a / samplesPerCell) : 0;
+            }
+        }
+        
+        return { imageData, detail };
+    }
+    
+    // With `temporal`, cell colors are first blended with previous frames (in place,
+    // so tinting sees the smoothed colors too) and a cell only leaves its previous
+    // sprite when the new match is clearly closer or has held for several frames.
+    // `leaves` ({ rects, gridWidth, gridHeight }) places quadtree leaves on the grid
+    // for the constraints' repeat radius.
+    generateSpriteIndices(imageData, width, height, detail = null, temporal = false, leaves = null) {
+        if (this.usesConstraints()) {
+            return this.generateConstrainedIndices(imageData, width, height, detail, leaves);
+        }
+        
+        const data = imageData.data;
+        const indices = new Array(width * height);
+        
+        const state = temporal ? this.getTemporalState(width, height) : null;
+        if (state && this.colorSmoothing > 0) {
+            if (!state.colors) {
+                state.colors = Float32Array.from(data);
+            } else {
+                // Exponential moving average; full strength still lets 10% of each frame through
+                const keep = this.colorSmoothing * 0.9;
+                for (let i = 0; i < data.length; i++) {
+                    state.colors[i] = state.colors[i] * keep + data[i] * (1 - keep);
+                    data[i] = state.colors[i];
+                }
+            }
+        }
+        
+        // Hysteresis: required relative distance improvement, and frames a new match must persist
+        const switchMargin = this.temporalStability * 0.5;
+        const persistFrames = 1 + Math.round(this.temporalStability * 14);
+        
+        // Use number of sprites as the posterization levels, modified by threshold slider
+        const spriteAverages = this.atlas.spriteAverages;
+        const spriteCount = spriteAverages.length;
+        const posterize = getPosterizationTable(spriteCount);
+        
+        // Dithering quantizes straight to the sprite palette, so it replaces posterization.
+        // Quadtree leaves come as a list with no spatial neighbours, so they are never dithered.
+        const ditherMode = leaves ? 'none' : this.ditherMode;
+        const kernel = ERROR_DIFFUSION_KERNELS[ditherMode] || null;
+        const bayer = BAYER_MATRICES[ditherMode] || null;
+        const dithering = kernel !== null || bayer !== null;
+        
+        // Sprite averages mapped once per frame into the selector's metric space
+        const spriteMetrics = spriteAverages.map(sprite => this.selector.spriteMetric(sprite));
+        const dimensions = spriteMetrics.length > 0 ? spriteMetrics[0].length : 0;
+        const range = dithering ? getMetricRange(spriteMetrics) : null;
+        
+        // The detail grid may be larger than the selector's when edge mode needs it
+        const samplesPerCell = detail ? detail.length / (width * height) : 1;
+        const edgeContext = this.getEdgeContext(detail, width * height);
+        const plainMetrics = edgeContext ? edgeContext.plainIndices.map(i => spriteMetrics[i]) : null;
+        
+        // Error carried forward to unvisited cells, per metric dimension
+        const error = kernel ? new Float32Array(width * height * dimensions) : null;
+        
+        // Ordered dithering offsets by up to half the average gap between sprites
+        const bayerSize = bayer ? bayer.length : 0;
+        const bayerSpread = bayer
+            ? range.max.map((max, d) => (max - range.min[d]) / Math.max(1, spriteCount - 1))
+            : null;
+        
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = y * width + x;
+                const pixelIndex = i * 4;
+                let r = data[pixelIndex];
+                let g = data[pixelIndex + 1];
+                let b = data[pixelIndex + 2];
+                const a = data[pixelIndex + 3];
+                
+                if (a === 0) {
+                    // Transparent (or background-masked) cells are left empty
+                    indices[i] = -1;
+                    if (state) state.indices[i] = -1;
+                    continue;
+                }
+                
+                if (!dithering) {
+                    // Apply posterization effect based on sprite count
+                    r = posterize[r];
+                    g = posterize[g];
+                    b = posterize[b];
+                }
+                
+                const structure = detail ? detail.subarray(i * samplesPerCell, (i + 1) * samplesPerCell) : null;
+                const metric = this.selector.toMetric({ r, g, b, structure });
+                
+                if (error) {
+                    // Clamp to the sprites' range so error can't build up where no sprite reaches
+                    const offset = i * dimensions;
+                    for (let d = 0; d < dimensions; d++) {
+                        metric[d] = Math.min(range.max[d], Math.max(range.min[d], metric[d] + error[offset + d]));
+                    }
+                } else if (bayer) {
+                    const t = (bayer[y % bayerSize][x % bayerSize] + 0.5) / (bayerSize * bayerSize) - 0.5;
+                    for (let d = 0; d < dimensions; d++) {
+                        metric[d] += t * bayerSpread[d];
+                    }
+                }
+                
+                let spriteIndex;
+                if (!edgeContext) {
+                    spriteIndex = this.selector.selectByMetric(metric, spriteMetrics);
+                } else if (edgeContext.edges[i] >= 0) {
+                    // Closest orientation first, then the usual metric among those
+                    const candidates = this.getEdgeSprites(edgeContext.edges[i], edgeContext.directions);
+                    const best = this.selector.selectByMetric(metric, candidates.map(c => spriteMetrics[c]));
+                    spriteIndex = candidates[best];
+                } else {
+                    spriteIndex = edgeContext.plainIndices[this.selector.selectByMetric(metric, plainMetrics)];
+                }
+                
+                // Ensure we always have a valid sprite index
+                if (spriteIndex === undefined || spriteIndex === null || spriteIndex < 0 || spriteIndex >= spriteCount) {
+                    spriteIndex = 0; // Fallback to first sprite
+                }
+                
+                if (state) {
+                    const current = state.indices[i];
+                    let keepCurrent = false;
+                    
+                    if (current >= 0 && current < spriteCount && current !== spriteIndex) {
+                        const bestDistance = this.selector.distance(metric, spriteMetrics[spriteIndex]);
+                        const currentDistance = this.selector.distance(metric, spriteMetrics[current]);
+                        const improvement = currentDistance > 0 ? 1 - bestDistance / currentDistance : 0;
+                        const held = state.candidates[i] === spriteIndex ? state.counts[i] + 1 : 1;
+                        
+                        if (improvement < switchMargin && held < persistFrames) {
+                            state.candidates[i] = spriteIndex;
+                            state.counts[i] = held;
+                            spriteIndex = current;
+                            keepCurrent = true;
+                        }
+                    }
+                    
+                    if (!keepCurrent) {
+                        state.candidates[i] = -1;
+                        state.counts[i] = 0;
+                    }
+                    state.indices[i] = spriteIndex;
+                }
+                
+                indices[i] = spriteIndex;
+                
+                if (error) {
+                    const chosen = spriteMetrics[spriteIndex];
+                    for (const [dx, dy, weight] of kernel) {
+                        const nx = x + dx;
+                        const ny = y + dy;
+                        if (nx < 0 || nx >= width || ny >= height) continue;
+                        
+                        const offset = (ny * width + nx) * dimensions;
+                        for (let d = 0; d < dimensions; d++) {
+                            error[offset + d] += (metric[d] - chosen[d]) * weight;
+                        }
+                    }
+                }
+            }
+        }
+        
+        return indices;
+    }
+    
+    // Constrained variant of generateSpriteIndices: builds the full cell x sprite cost
+    // matrix from the selector's distances and hands it to solveConstrainedAssignment.
+    // Dithering is skipped since the solver places cells out of scan order.
+    generateConstrainedIndices(imageData, width, height, detail, leaves) {
+        const data = imageData.data;
+        const spriteAverages = this.atlas.spriteAverages;
+        const spriteCount = spriteAverages.length;
+        const posterize = getPosterizationTable(spriteCount);
+        const spriteMetrics = spriteAverages.map(sprite => this.selector.spriteMetric(sprite));
+        
+        const cellCount = width * height;
+        const samplesPerCell = detail ? detail.length / cellCount : 1;
+        const costs = new Float32Array(cellCount * spriteCount);
+        const cells = [];
+        
+        // Edge glyphs restrict which sprites a cell may take by making the rest unaffordable
+        const edgeContext = this.getEdgeContext(detail, cellCount);
+        const allowed = new Uint8Array(spriteCount);
+        
+        for (let i = 0; i < cellCount; i++) {
+            // Transparent cells stay empty and take no part in the constraints
+            if (data[i * 4 + 3] === 0) continue;
+            cells.push(i);
+            
+            const [r, g, b] = [0, 1, 2].map(c => posterize[data[i * 4 + c]]);
+            const structure = detail ? detail.subarray(i * samplesPerCell, (i + 1) * samplesPerCell) : null;
+            const metric = this.selector.toMetric({ r, g, b, structure });
+            
+            allowed.fill(edgeContext ? 0 : 1);
+            if (edgeContext) {
+                const candidates = edgeContext.edges[i] >= 0
+                    ? this.getEdgeSprites(edgeContext.edges[i], edgeContext.directions)
+                    : edgeContext.plainIndices;
+                candidates.forEach(s => { allowed[s] = 1; });
+            }
+            
+            for (let s = 0; s < spriteCount; s++) {
+                costs[i * spriteCount + s] = allowed[s] ? this.selector.distance(metric, spriteMetrics[s]) : Infinity;
+            }
+        }
+        
+        const result = leaves
+            ? solveConstrainedAssignment(costs, spriteCount, cells, leaves.rects, leaves.gridWidth, leaves.gridHeight, this.constraints)
+            : solveConstrainedAssignment(costs, spriteCount, cells, null, width, height, this.constraints);
+        
+        this.usageReport = { counts: result.counts, relaxed: result.relaxed, cells: cells.length };
+        return result.indices;
+    }
+}
+
+//==============================================================================
+// SPRITE SELECTION ALGORITHMS
+//==============================================================================
+
+// Posterization step behind getPosterizationTable.
+// Uses the number of sprites as the levels, modified by the threshold slider.
+function getPosterizationStep(spriteCount) {
+    const thresholdMultiplier = parseFloat(threshold.value);
+    const thresholdLevels = Math.max(2, Math.round(spriteCount * thresholdMultiplier));
+    return 255 / (thresholdLevels - 1);
+}
+
+// Posterized value of every 0-255 channel value, rounded to whole values. The GPU
+// selection pass reads the same table as a texture, so both paths see identical colors.
+function getPosterizationTable(spriteCount) {
+    const step = getPosterizationStep(spriteCount);
+    const table = new Uint8Array(256);
+    for (let value = 0; value < 256; value++) {
+        table[value] = Math.min(255, Math.max(0, Math.round(Math.round(value / step) * step)));
+    }
+    return table;
+}
+
+// Per-dimension { min, max } over a list of metric vectors
+function getMetricRange(metrics) {
+    const dimensions = metrics.length > 0 ? metrics[0].length : 0;
+    const min = new Array(dimensions).fill(Infinity);
+    const max = new Array(dimensions).fill(-Infinity);
+    
+    for (const metric of metrics) {
+        for (let d = 0; d < dimensions; d++) {
+            min[d] = Math.min(min[d], metric[d]);
+            max[d] = Math.max(max[d], metric[d]);
+        }
+    }
+    
+    return { min, max };
+}
+
+// Selectors compare colors as metric vectors: toMetric maps a source color and
+// spriteMetric maps a sprite's averages into the same space. Dithering carries
+// its error in that space, so it works the same way for every selector.
+class SpriteSelector {
+    constructor() {
+        // Sub-samples per cell side the selector needs from the source (see sampleSource)
+        this.detailSize = 1;
+    }
+    
+    toMetric(color) {
+        return [color.r, color.g, color.b];
+    }
+    
+    spriteMetric(sprite) {
+        return [sprite.r, sprite.g, sprite.b];
+    }
+    
+    distance(a, b) {
+        let sum = 0;
+        for (let i = 0; i < a.length; i++) {
+            const d = a[i] - b[i];
+            sum += d * d;
+        }
+        return sum;
+    }
+    
+    // Index of the sprite metric nearest to `metric`
+    selectByMetric(metric, spriteMetrics) {
+        let bestIndex = 0;
+        let bestDistance = Infinity;
+        
+        for (let i = 0; i < spriteMetrics.length; i++) {
+            const spriteMetric = spriteMetrics[i];
+            if (!spriteMetric) continue; // Skip invalid sprites
+            
+            const distance = this.distance(metric, spriteMetric);
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                bestIndex = i;
+            }
+        }
+        
+        return bestIndex;
+    }
+    
+    selectSprite(regionData, spriteAverages) {
+        // Safety check: ensure we have sprites
+        if (!spriteAverages || spriteAverages.length === 0) {
+            return 0;
+        }
+        
+        const spriteMetrics = spriteAverages.map(sprite => sprite ? this.spriteMetric(sprite) : null);
+        const bestIndex = this.selectByMetric(this.toMetric(regionData), spriteMetrics);
+        
+        // Ensure valid index
+        return Math.max(0, Math.min(bestIndex, spriteAverages.length - 1));
+    }
+}
+
+// Euclidean distance in sRGB
+class ColorSpriteSelector extends SpriteSelector {}
+
+// Luma in thousandths, which stays a whole number for whole-number colors so the
+// GPU selection pass matches it exactly
+class BrightnessSpriteSelector extends SpriteSelector {
+    toMetric(color) {
+        return [299 * color.r + 587 * color.g + 114 * color.b];
+    }
+    
+    spriteMetric(sprite) {
+        return [299 * sprite.r + 587 * sprite.g + 114 * sprite.b];
+    }
+}
+
+// Euclidean distance in OKLab, which is close to perceptually uniform
+class OklabSpriteSelector extends SpriteSelector {
+    toMetric(color) {
+        return rgbToOklab(color.r, color.g, color.b);
+    }
+    
+    spriteMetric(sprite) {
+        return sprite.oklab;
+    }
+}
+
+// CIEDE2000 difference in CIELAB
+class CIEDE2000SpriteSelector extends SpriteSelector {
+    toMetric(color) {
+        return rgbToLab(color.r, color.g, color.b);
+    }
+    
+    spriteMetric(sprite) {
+        return sprite.lab;
+    }
+    
+    distance(a, b) {
+        return deltaE2000(a, b);
+    }
+}
+
+// "Redmean" weighted RGB: cheap, and weights channels by how red the pair is
+class RedmeanSpriteSelector extends SpriteSelector {
+    distance(a, b) {
+        const meanR = (a[0] + b[0]) / 2;
+        const dr = a[0] - b[0];
+        const dg = a[1] - b[1];
+        const db = a[2] - b[2];
+        return (2 + meanR / 256) * dr * dr + 4 * dg * dg + (2 + (255 - meanR) / 256) * db * db;
+    }
+}
+
+// Compares the luminance pattern inside each cell with the same grid sampled from
+// each sprite, so edges and half-filled sprites land with the right orientation
+class StructuralSpriteSelector extends SpriteSelector {
+    constructor() {
+        super();
+        this.detailSize = STRUCTURE_GRID_SIZE;
+    }
+    
+    toMetric(color) {
+        if (color.structure) {
+            return Array.from(color.structure);
+        }
+        
+        // No sub-cell samples (e.g. a single color): treat the cell as uniform
+        const brightness = 0.299 * color.r + 0.587 * color.g + 0.114 * color.b;
+        return new Array(STRUCTURE_GRID_SIZE * STRUCTURE_GRID_SIZE).fill(brightness);
+    }
+    
+    spriteMetric(sprite) {
+        return sprite.structure;
+    }
+}
+
+function createSpriteSelector(mode) {
+    switch(mode) {
+        case 'color': return new ColorSpriteSelector();
+        case 'brightness': return new BrightnessSpriteSelector();
+        case 'oklab': return new OklabSpriteSelector();
+        case 'ciede2000': return new CIEDE2000SpriteSelector();
+        case 'redmean': return new RedmeanSpriteSelector();
+        case 'structure': return new StructuralSpriteSelector();
+        default: return new ColorSpriteSelector();
+    }
+}
+
+//==============================================================================
+// SOURCE SAMPLING
+//==============================================================================
+
+// Longest source side sampled at full resolution; larger sources are scaled down first.
+// Also keeps the summed-area table sums inside 32 bits.
+const MAX_SAMPLE_DIMENSION = 1920;
+
+// Computes cell colors from the full-resolution source instead of one drawImage
+// downscale, which skips most source pixels and makes fine detail shimmer.
+//   box    - true mean of every pixel in the cell, via a summed-area table
+//   median - per-channel median of the cell's pixels
+//   center - tent-weighted mean that falls off toward the cell edges
+// Colors are weighted by alpha so transparent pixels don't darken the average.
+class CellSampler {
+    constructor() {
+        this.canvas = document.createElement('canvas');
+        this.width = 0;
+        this.height = 0;
+        this.pixels = null;
+        // (width + 1) x (height + 1) running sums of premultiplied r, g, b and alpha
+        this.table = null;
+        this.histograms = new Uint32Array(256 * 4);
+    }
+    
+    // Draw the source (mirrored for the webcam) and read its pixels back
+    capture(source) {
+        const dimensions = getSourceDimensions(source);
+        const fit = Math.min(1, MAX_SAMPLE_DIMENSION / Math.max(dimensions.width, dimensions.height));
+        const width = Math.max(1, Math.round(dimensions.width * fit));
+        const height = Math.max(1, Math.round(dimensions.height * fit));
+        
+        const canvas = this.canvas;
+        if (canvas.width !== width || canvas.height !== height) {
+            canvas.width = width;
+            canvas.height = height;
+        }
+        
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        ctx.clearRect(0, 0, width, height);
+        source.draw(canvas);
+        
+        this.width = width;
+        this.height = height;
+        this.pixels = ctx.getImageData(0, 0, width, height).data;
+    }
+    
+    buildSummedAreaTable() {
+        const { width, height, pixels } = this;
+        const stride = (width + 1) * 4;
+        const size = stride * (height + 1);
+        
+        if (!this.table || this.table.length < size) {
+            this.table = new Uint32Array(size);
+        }
+        
+        const table = this.table;
+        table.fill(0, 0, stride);
+        
+        for (let y = 0; y < height; y++) {
+            const row = (y + 1) * stride;
+            const previousRow = y * stride;
+            let r = 0, g = 0, b = 0, a = 0;
+            
+            table[row] = table[row + 1] = table[row + 2] = table[row + 3] = 0;
+            
+            for (let x = 0; x < width; x++) {
+                const p = (y * width + x) * 4;
+                const alpha = pixels[p + 3];
+                r += (pixels[p] * alpha + 127) / 255 | 0;
+                g += (pixels[p + 1] * alpha + 127) / 255 | 0;
+                b += (pixels[p + 2] * alpha + 127) / 255 | 0;
+                a += alpha;
+                
+                const t = row + (x + 1) * 4;
+                const above = previousRow + (x + 1) * 4;
+                table[t] = table[above] + r;
+                table[t + 1] = table[above + 1] + g;
+                table[t + 2] = table[above + 2] + b;
+                table[t + 3] = table[above + 3] + a;
+            }
+        }
+    }
+    
+    // Alpha-weighted mean RGBA of the pixels in [x0, x1) x [y0, y1), written to out[offset..offset + 3]
+    boxAverage(x0, y0, x1, y1, out, offset) {
+        const table = this.table;
+        const stride = (this.width + 1) * 4;
+        const topLeft = y0 * stride + x0 * 4;
+        const topRight = y0 * stride + x1 * 4;
+        const bottomLeft = y1 * stride + x0 * 4;
+        const bottomRight = y1 * stride + x1 * 4;
+        
+        const sum = c => table[bottomRight + c] - table[topRight + c] - table[bottomLeft + c] + table[topLeft + c];
+        const alphaSum = sum(3);
+        
+        if (alphaSum === 0) {
+            out[offset] = out[offset + 1] = out[offset + 2] = out[offset + 3] = 0;
+            return;
+        }
+        
+        out[offset] = sum(0) * 255 / alphaSum;
+        out[offset + 1] = sum(1) * 255 / alphaSum;
+        out[offset + 2] = sum(2) * 255 / alphaSum;
+        // Keep partially covered cells from rounding down to fully transparent
+        out[offset + 3] = Math.max(1, alphaSum / ((x1 - x0) * (y1 - y0)));
+    }
+    
+    medianColor(x0, y0, x1, y1, out, offset) {
+        const { width, pixels, histograms } = this;
+        histograms.fill(0);
+        
+        let opaqueCount = 0;
+        for (let y = y0; y < y1; y++) {
+            for (let x = x0; x < x1; x++) {
+                const p = (y * width + x) * 4;
+                histograms[768 + pixels[p + 3]]++;
+                if (pixels[p + 3] === 0) continue;
+                
+                histograms[pixels[p]]++;
+                histograms[256 + pixels[p + 1]]++;
+                histograms[512 + pixels[p + 2]]++;
+                opaqueCount++;
+            }
+        }
+        
+        const median = (channel, count) => {
+            let seen = 0;
+            for (let value = 0; value < 256; value++) {
+                seen += histograms[channel * 256 + value];
+                if (seen * 2 >= count) return value;
+            }
+            return 255;
+        };
+        
+        if (opaqueCount === 0) {
+            out[offset] = out[offset + 1] = out[offset + 2] = out[offset + 3] = 0;
+            return;
+        }
+        
+        out[offset] = median(0, opaqueCount);
+        out[offset + 1] = median(1, opaqueCount);
+        out[offset + 2] = median(2, opaqueCount);
+        out[offset + 3] = Math.max(1, median(3, (x1 - x0) * (y1 - y0)));
+    }
+    
+    centerWeightedColor(x0, y0, x1, y1, out, offset) {
+        const { width, pixels } = this;
+        const centerX = (x0 + x1) / 2;
+        const centerY = (y0 + y1) / 2;
+        const halfWidth = (x1 - x0) / 2;
+        const halfHeight = (y1 - y0) / 2;
+        
+        let r = 0, g = 0, b = 0, a = 0, weightSum = 0;
+        for (let y = y0; y < y1; y++) {
+            const wy = 1 - Math.abs(y + 0.5 - centerY) / halfHeight;
+            for (let x = x0; x < x1; x++) {
+                const weight = wy * (1 - Math.abs(x + 0.5 - centerX) / halfWidth);
+                const p = (y * width + x) * 4;
+                const alphaWeight = weight * pixels[p + 3];
+                
+                r += pixels[p] * alphaWeight;
+                g += pixels[p + 1] * alphaWeight;
+                b += pixels[p + 2] * alphaWeight;
+                a += alphaWeight;
+                weightSum += weight;
+            }
+        }
+        
+        if (a === 0) {
+            out[offset] = out[offset + 1] = out[offset + 2] = out[offset + 3] = 0;
+            return;
+        }
+        
+        out[offset] = r / a;
+        out[offset + 1] = g / a;
+        out[offset + 2] = b / a;
+        out[offset + 3] = Math.max(1, a / weightSum);
+    }
+    
+    // Whole source pixels [start, end) covering `length` pixels from `position`, clamped
+    // to the source and never empty
+    getSpan(position, length, limit) {
+        const start = Math.min(limit - 1, Math.max(0, Math.floor(position)));
+        const end = Math.max(start + 1, Math.min(limit, Math.floor(position + length)));
+        return [start, end];
+    }
+    
+    // Returns { imageData, detail } like SpriteRasterizer.sampleSource, with cells
+    // placed by the GRID_LAYOUTS lattice. Detail grids are always box averages,
+    // whatever the cell color mode.
+    sample(source, gridWidth, gridHeight, mode, detailSize, layout = 'square') {
+        this.capture(source);
+        
+        const needsTable = mode === 'box' || detailSize > 1;
+        if (needsTable) {
+            this.buildSummedAreaTable();
+        }
+        
+        const imageData = new ImageData(gridWidth, gridHeight);
+        const cellData = imageData.data;
+        const samplesPerCell = detailSize * detailSize;
+        const detail = detailSize > 1 ? new Float32Array(gridWidth * gridHeight * samplesPerCell) : null;
+        const subSample = new Float32Array(4);
+        
+        // Cell size in source pixels, on the same lattice the renderer draws
+        const cellWidth = this.width / getLayoutWidth(layout, gridWidth, gridHeight);
+        const cellHeight = this.height / getLayoutHeight(layout, gridHeight);
+        
+        for (let cy = 0; cy < gridHeight; cy++) {
+            for (let cx = 0; cx < gridWidth; cx++) {
+                const origin = getCellOrigin(layout, cx, cy);
+                const left = origin.x * cellWidth;
+                const top = origin.y * cellHeight;
+                const [x0, x1] = this.getSpan(left, cellWidth, this.width);
+                const [y0, y1] = this.getSpan(top, cellHeight, this.height);
+                const cell = cy * gridWidth + cx;
+                
+                if (mode === 'median') {
+                    this.medianColor(x0, y0, x1, y1, cellData, cell * 4);
+                } else if (mode === 'center') {
+                    this.centerWeightedColor(x0, y0, x1, y1, cellData, cell * 4);
+                } else {
+                    this.boxAverage(x0, y0, x1, y1, cellData, cell * 4);
+                }
+                
+                if (!detail) continue;
+                
+                for (let sy = 0; sy < detailSize; sy++) {
+                    const [sy0, sy1] = this.getSpan(top + sy * cellHeight / detailSize, cellHeight / detailSize, this.height);
+                    for (let sx = 0; sx < detailSize; sx++) {
+                        const [sx0, sx1] = this.getSpan(left + sx * cellWidth / detailSize, cellWidth / detailSize, this.width);
+                        this.boxAverage(sx0, sy0, sx1, sy1, subSample, 0);
+                        detail[cell * samplesPerCell + sy * detailSize + sx] =
+                            0.299 * subSample[0] + 0.587 * subSample[1] + 0.114 * subSample[2];
+                    }
+                }
+            }
+        }
+        
+        return { imageData, detail };
+    }
+}
+
+//==============================================================================
+// ADAPTIVE QUADTREE
+//==============================================================================
+
+// Largest quadtree leaf side, in grid cells; the grid scale sets the smallest
+const QUADTREE_MAX_LEAF_SIZE = 16;
+
+// Split grid-resolution cell colors into quadtree leaves. Blocks of up to
+// QUADTREE_MAX_LEAF_SIZE cells are split in four while the luminance standard
+// deviation of their cells is above `threshold`, so flat areas get one large
+// sprite and detailed areas go down to single cells.
+// Returns { leaves, colors, detail }: leaves holds (x, y, width, height) per leaf in
+// cells, colors is an ImageData with one alpha-weighted mean pixel per leaf, and
+// detail (when detailSize > 1) is each leaf's luminance grid as in sampleSource.
+function buildQuadtree(imageData, gridWidth, gridHeight, threshold, detailSize = 1) {
+    const data = imageData.data;
+    
+    // Summed-area table of premultiplied r, g, b, alpha, luminance and luminance squared
+    const channels = 6;
+    const stride = (gridWidth + 1) * channels;
+    const table = new Float64Array(stride * (gridHeight + 1));
+    const running = new Float64Array(channels);
+    
+    for (let y = 0; y < gridHeight; y++) {
+        running.fill(0);
+        for (let x = 0; x < gridWidth; x++) {
+            const p = (y * gridWidth + x) * 4;
+            const alpha = data[p + 3] / 255;
+            const luminance = 0.299 * data[p] + 0.587 * data[p + 1] + 0.114 * data[p + 2];
+            running[0] += data[p] * alpha;
+            running[1] += data[p + 1] * alpha;
+            running[2] += data[p + 2] * alpha;
+            running[3] += alpha;
+            running[4] += luminance;
+            running[5] += luminance * luminance;
+            
+            const t = (y + 1) * stride + (x + 1) * channels;
+            for (let c = 0; c < channels; c++) {
+                table[t + c] = table[t - stride + c] + running[c];
+            }
+        }
+    }
+    
+    const sum = (x0, y0, x1, y1, c) =>
+        table[y1 * stride + x1 * channels + c] - table[y0 * stride + x1 * channels + c] -
+        table[y1 * stride + x0 * channels + c] + table[y0 * stride + x0 * channels + c];
+    
+    const leaves = [];
+    const limit = threshold * threshold;
+    
+    const subdivide = (x, y, width, height) => {
+        const count = width * height;
+        if (count > 1) {
+            const mean = sum(x, y, x + width, y + height, 4) / count;
+            const variance = sum(x, y, x + width, y + height, 5) / count - mean * mean;
+            
+            if (variance > limit) {
+                const leftWidth = Math.ceil(width / 2);
+                const topHeight = Math.ceil(height / 2);
+                subdivide(x, y, leftWidth, topHeight);
+                if (width > leftWidth) subdivide(x + leftWidth, y, width - leftWidth, topHeight);
+                if (height > topHeight) subdivide(x, y + topHeight, leftWidth, height - topHeight);
+                if (width > leftWidth && height > topHeight) {
+                    subdivide(x + leftWidth, y + topHeight, width - leftWidth, height - topHeight);
+                }
+                return;
+            }
+        }
+        leaves.push(x, y, width, height);
+    };
+    
+    for (let y = 0; y < gridHeight; y += QUADTREE_MAX_LEAF_SIZE) {
+        for (let x = 0; x < gridWidth; x += QUADTREE_MAX_LEAF_SIZE) {
+            subdivide(x, y, Math.min(QUADTREE_MAX_LEAF_SIZE, gridWidth - x), Math.min(QUADTREE_MAX_LEAF_SIZE, gridHeight - y));
+        }
+    }
+    
+    const leafCount = leaves.length / 4;
+    const colors = new ImageData(leafCount, 1);
+    const samplesPerCell = detailSize * detailSize;
+    const detail = detailSize > 1 ? new Float32Array(leafCount * samplesPerCell) : null;
+    
+    for (let i = 0; i < leafCount; i++) {
+        const x0 = leaves[i * 4];
+        const y0 = leaves[i * 4 + 1];
+        const x1 = x0 + leaves[i * 4 + 2];
+        const y1 = y0 + leaves[i * 4 + 3];
+        const alpha = sum(x0, y0, x1, y1, 3);
+        
+        if (alpha > 0) {
+            colors.data[i * 4] = sum(x0, y0, x1, y1, 0) / alpha;
+            colors.data[i * 4 + 1] = sum(x0, y0, x1, y1, 1) / alpha;
+            colors.data[i * 4 + 2] = sum(x0, y0, x1, y1, 2) / alpha;
+            // Keep partially covered leaves from rounding down to fully transparent
+            colors.data[i * 4 + 3] = Math.max(1, alpha * 255 / ((x1 - x0) * (y1 - y0)));
+        }
+        
+        if (!detail) continue;
+        
+        // Leaves smaller than the detail grid repeat their cells
+        const span = (start, length, index) => {
+            const from = start + Math.floor(index * length / detailSize);
+            return [from, Math.max(from + 1, start + Math.floor((index + 1) * length / detailSize))];
+        };
+        for (let sy = 0; sy < detailSize; sy++) {
+            const [sy0, sy1] = span(y0, y1 - y0, sy);
+            for (let sx = 0; sx < detailSize; sx++) {
+                const [sx0, sx1] = span(x0, x1 - x0, sx);
+                detail[i * samplesPerCell + sy * detailSize + sx] =
+                    sum(sx0, sy0, sx1, sy1, 4) / ((sx1 - sx0) * (sy1 - sy0));
+            }
+        }
+    }
+    
+    return { leaves: new Float32Array(leaves), colors, detail };
+}
+
+//==============================================================================
+// CONSTRAINED ASSIGNMENT
+//==============================================================================
+
+// Assign one sprite per cell from a cost matrix under photomosaic constraints.
+// costs holds spriteCount distances per cell and `cells` lists the cells to assign
+// (others are left empty, index -1). Each cell covers a rect of grid cells - (x, y, 1, 1) on a
+// lattice, or its quadtree leaf rect in `rects` - on a gridWidth x gridHeight grid.
+// Constraints:
+//   repeatRadius - no sprite within this many grid cells of the same sprite (0 = off)
+//   maxUses      - most cells any one sprite may cover (0 = unlimited)
+//   useAll       - every sprite is placed at least once when there are enough cells
+// Greedy: with useAll each sprite first claims the cell it costs least extra on, then
+// the remaining cells are assigned most-constrained first (largest gap between their
+// two best sprites) to the cheapest sprite still allowed. An infinite cost rules a
+// sprite out for that cell. Cells no sprite fits break the repeat rule first, then
+// take a ruled-out sprite, and exceed the usage limit only if every sprite is used up.
+// Returns { indices, counts, relaxed } where relaxed counts cells that broke a rule.
+function solveConstrainedAssignment(costs, spriteCount, cells, rects, gridWidth, gridHeight, constraints) {
+    const { repeatRadius, maxUses, useAll } = constraints;
+    const cellCount = costs.length / spriteCount;
+    const indices = new Array(cellCount).fill(-1);
+    const counts = new Array(spriteCount).fill(0);
+    const assigned = new Uint8Array(cellCount);
+    let relaxed = 0;
+    
+    // Sprite covering each grid cell so far, for the repeat radius check
+    const owner = new Int16Array(gridWidth * gridHeight).fill(-1);
+    const getRect = (cell) => rects
+        ? [rects[cell * 4], rects[cell * 4 + 1], rects[cell * 4 + 2], rects[cell * 4 + 3]]
+        : [cell % gridWidth, Math.floor(cell / gridWidth), 1, 1];
+    
+    // Mark the sprites already placed within repeatRadius of a cell's rect
+    const blocked = new Uint8Array(spriteCount);
+    const collectBlocked = (cell) => {
+        blocked.fill(0);
+        if (repeatRadius <= 0) return;
+        
+        const [x, y, width, height] = getRect(cell);
+        const x0 = Math.max(0, x - repeatRadius);
+        const y0 = Math.max(0, y - repeatRadius);
+        const x1 = Math.min(gridWidth, x + width + repeatRadius);
+        const y1 = Math.min(gridHeight, y + height + repeatRadius);
+        for (let gy = y0; gy < y1; gy++) {
+            for (let gx = x0; gx < x1; gx++) {
+                const sprite = owner[gy * gridWidth + gx];
+                if (sprite >= 0) blocked[sprite] = 1;
+            }
+        }
+    };
+    
+    const allowed = (sprite) => !blocked[sprite] && (maxUses <= 0 || counts[sprite] < maxUses);
+    
+    const place = (cell, sprite) => {
+        indices[cell] = sprite;
+        counts[sprite]++;
+        assigned[cell] = 1;
+        
+        const [x, y, width, height] = getRect(cell);
+        for (let gy = y; gy < y + height; gy++) {
+            owner.fill(sprite, gy * gridWidth + x, gy * gridWidth + x + width);
+        }
+    };
+    
+    // Best and second best cost per cell
+    const best = new Float32Array(cellCount);
+    const regret = new Float32Array(cellCount);
+    for (const cell of cells) {
+        let first = Infinity, second = Infinity;
+        for (let s = 0; s < spriteCount; s++) {
+            const cost = costs[cell * spriteCount + s];
+            if (cost < first) {
+                second = first;
+                first = cost;
+            } else if (cost < second) {
+                second = cost;
+            }
+        }
+        best[cell] = first;
+        regret[cell] = second === Infinity ? 0 : second - first;
+    }
+    
+    if (useAll) {
+        for (let s = 0; s < spriteCount; s++) {
+            let bestCell = -1, bestExtra = Infinity;
+            for (const cell of cells) {
+                if (assigned[cell]) continue;
+                const extra = costs[cell * spriteCount + s] - best[cell];
+                if (extra >= bestExtra) continue;
+                
+                collectBlocked(cell);
+                if (!blocked[s]) {
+                    bestCell = cell;
+                    bestExtra = extra;
+                }
+            }
+            if (bestCell >= 0) place(bestCell, s);
+        }
+    }
+    
+    const order = cells.filter(cell => !assigned[cell]);
+    order.sort((a, b) => regret[b] - regret[a]);
+    
+    for (const cell of order) {
+        collectBlocked(cell);
+        
+        let choice = -1;
+        for (let s = 0; s < spriteCount; s++) {
+            const cost = costs[cell * spriteCount + s];
+            if (allowed(s) && cost < Infinity && (choice < 0 || cost < costs[cell * spriteCount + choice])) {
+                choice = s;
+            }
+        }
+        
+        if (choice < 0) {
+            relaxed++;
+            blocked.fill(0);
+            for (let s = 0; s < spriteCount; s++) {
+                const cheaper = choice < 0 || costs[cell * spriteCount + s] < costs[cell * spriteCount + choice];
+                if (cheaper && allowed(s)) choice = s;
+            }
+            // Every sprite is at its limit
+            if (choice < 0) {
+                choice = 0;
+                for (let s = 1; s < spriteCount; s++) {
+                    if (costs[cell * spriteCount + s] < costs[cell * spriteCount + choice]) choice = s;
+                }
+            }
+        }
+        
+        place(cell, choice);
+    }
+    
+    return { indices, counts, relaxed };
+}
+
+//==============================================================================
+// EDGE DETECTION
+//==============================================================================
+
+// Side of the per-cell luminance grid edge detection runs on
+const EDGE_DETAIL_SIZE = 4;
+
+// Sobel filter over each cell's size x size luminance grid (cell-major, as returned
+// by sampleSource), clamped at the cell border. The cell's structure tensor gives
+// the dominant gradient orientation, and the edge runs perpendicular to it.
+// Strength is the RMS gradient magnitude over the largest possible Sobel response,
+// so a full black/white step through the middle of a cell is about 0.7.
+// Returns the edge angle per cell in degrees counterclockwise from horizontal,
+// in [0, 180), or -1 where the strength is below `threshold`.
+function detectCellEdges(detail, cellCount, size, threshold) {
+    const angles = new Float32Array(cellCount);
+    const samplesPerCell = size * size;
+    const maxResponse = 4 * 255;
+    
+    for (let cell = 0; cell < cellCount; cell++) {
+        const offset = cell * samplesPerCell;
+        const at = (x, y) => detail[offset +
+            Math.min(size - 1, Math.max(0, y)) * size + Math.min(size - 1, Math.max(0, x))];
+        
+        let xx = 0, yy = 0, xy = 0;
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                const gx = at(x + 1, y - 1) + 2 * at(x + 1, y) + at(x + 1, y + 1) -
+                    at(x - 1, y - 1) - 2 * at(x - 1, y) - at(x - 1, y + 1);
+                // Image rows run down, so flip y to measure angles counterclockwise
+                const gy = at(x - 1, y - 1) + 2 * at(x, y - 1) + at(x + 1, y - 1) -
+                    at(x - 1, y + 1) - 2 * at(x, y + 1) - at(x + 1, y + 1);
+                xx += gx * gx;
+                yy += gy * gy;
+                xy += gx * gy;
+            }
+        }
+        
+        const strength = Math.sqrt((xx + yy) / samplesPerCell) / maxResponse;
+        if (strength < threshold) {
+            angles[cell] = -1;
+            continue;
+        }
+        
+        const gradientAngle = 0.5 * Math.atan2(2 * xy, xx - yy) * 180 / Math.PI;
+        angles[cell] = ((gradientAngle + 90) % 180 + 180) % 180;
+    }
+    
+    return angles;
+}
+
+// Smallest difference between two line orientations, in degrees (0-90)
+function getAngleDifference(a, b) {
+    const difference = Math.abs(a - b) % 180;
+    return Math.min(difference, 180 - difference);
+}
+
+//==============================================================================
+// COLOR SPACES
+//==============================================================================
+
+// sRGB channel (0-255) to linear light, precomputed for every byte value
+const SRGB_TO_LINEAR = new Float32Array(256).map((_, i) => {
+    const c = i / 255;
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+});
+
+function srgbToLinear(value) {
+    const clamped = Math.min(255, Math.max(0, value));
+    const low = Math.floor(clamped);
+    const high = Math.min(255, low + 1);
+    return SRGB_TO_LINEAR[low] + (SRGB_TO_LINEAR[high] - SRGB_TO_LINEAR[low]) * (clamped - low);
+}
+
+// Björn Ottosson's OKLab, returned as [L, a, b] with L in 0-1
+function rgbToOklab(r, g, b) {
+    const lr = srgbToLinear(r);
+    const lg = srgbToLinear(g);
+    const lb = srgbToLinear(b);
+    
+    const l = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+    const m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+    const s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+    
+    return [
+        0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+        1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+        0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+    ];
+}
+
+// CIELAB (D65 white), returned as [L, a, b] with L in 0-100
+function rgbToLab(r, g, b) {
+    const lr = srgbToLinear(r);
+    const lg = srgbToLinear(g);
+    const lb = srgbToLinear(b);
+    
+    const x = (0.4124564 * lr + 0.3575761 * lg + 0.1804375 * lb) / 0.95047;
+    const y = 0.2126729 * lr + 0.7151522 * lg + 0.0721750 * lb;
+    const z = (0.0193339 * lr + 0.1191920 * lg + 0.9503041 * lb) / 1.08883;
+    
+    const f = t => t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116;
+    const fx = f(x);
+    const fy = f(y);
+    const fz = f(z);
+    
+    return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+}
+
+// CIEDE2000 color difference between two CIELAB colors (kL = kC = kH = 1)
+function deltaE2000(lab1, lab2) {
+    const [L1, a1, b1] = lab1;
+    const [L2, a2, b2] = lab2;
+    const toDegrees = 180 / Math.PI;
+    const toRadians = Math.PI / 180;
+    
+    const C1 = Math.hypot(a1, b1);
+    const C2 = Math.hypot(a2, b2);
+    const meanC7 = Math.pow((C1 + C2) / 2, 7);
+    const G = 0.5 * (1 - Math.sqrt(meanC7 / (meanC7 + Math.pow(25, 7))));
+    
+    const a1p = (1 + G) * a1;
+    const a2p = (1 + G) * a2;
+    const C1p = Math.hypot(a1p, b1);
+    const C2p = Math.hypot(a2p, b2);
+    const h1p = C1p === 0 ? 0 : (Math.atan2(b1, a1p) * toDegrees + 360) % 360;
+    const h2p = C2p === 0 ? 0 : (Math.atan2(b2, a2p) * toDegrees + 360) % 360;
+    
+    const dLp = L2 - L1;
+    const dCp = C2p - C1p;
+    let dhp = 0;
+    if (C1p * C2p !== 0) {
+        dhp = h2p - h1p;
+        if (dhp > 180) dhp -= 360;
+        else if (dhp < -180) dhp += 360;
+    }
+    const dHp = 2 * Math.sqrt(C1p * C2p) * Math.sin(dhp / 2 * toRadians);
+    
+    const meanLp = (L1 + L2) / 2;
+    const meanCp = (C1p + C2p) / 2;
+    let meanHp = h1p + h2p;
+    if (C1p * C2p !== 0) {
+        if (Math.abs(h1p - h2p) > 180) {
+            meanHp += h1p + h2p < 360 ? 360 : -360;
+        }
+        meanHp /= 2;
+    }
+    
+    const T = 1 -
+        0.17 * Math.cos((meanHp - 30) * toRadians) +
+        0.24 * Math.cos(2 * meanHp * toRadians) +
+        0.32 * Math.cos((3 * meanHp + 6) * toRadians) -
+        0.20 * Math.cos((4 * meanHp - 63) * toRadians);
+    const dTheta = 30 * Math.exp(-Math.pow((meanHp - 275) / 25, 2));
+    const meanCp7 = Math.pow(meanCp, 7);
+    const RC = 2 * Math.sqrt(meanCp7 / (meanCp7 + Math.pow(25, 7)));
+    const SL = 1 + (0.015 * Math.pow(meanLp - 50, 2)) / Math.sqrt(20 + Math.pow(meanLp - 50, 2));
+    const SC = 1 + 0.045 * meanCp;
+    const SH = 1 + 0.015 * meanCp * T;
+    const RT = -Math.sin(2 * dTheta * toRadians) * RC;
+    
+    const lTerm = dLp / SL;
+    const cTerm = dCp / SC;
+    const hTerm = dHp / SH;
+    
+    return Math.sqrt(lTerm * lTerm + cTerm * cTerm + hTerm * hTerm + RT * cTerm * hTerm);
+}
+
+//==============================================================================
+// RENDERING SYSTEM
+//==============================================================================
+function initRasterizer() {
+    try {
+        rasterizer = new SpriteRasterizer(outputCanvas);
+        rasterizer.setSelectionMode('color');
+        rasterizer.setBackgroundColor(canvasBgColor.value);
+        rasterizer.setTintMode(tintMode.value);
+        rasterizer.setDitherMode(ditherMode.value);
+        rasterizer.setTemporalCoherence(parseFloat(temporalStability.value), parseFloat(colorSmoothing.value));
+        rasterizer.setConstraints(...getConstraintValues());
+        rasterizer.setEdgeMode(edgeGlyphs.checked, parseFloat(edgeThreshold.value));
+        rasterizer.setBackgroundRemoval(backgroundRemoval.value, keyColor.value,
+            parseFloat(keyTolerance.value), parseFloat(keySoftness.value));
+        rasterizer.setSamplingMode(samplingMode.value);
+        rasterizer.setLayout(getActiveLayout());
+        rasterizer.setAdaptive(adaptiveGrid.checked, parseFloat(detailThreshold.value));
+        rasterizer.setGpuSelectionEnabled(gpuSelection.checked);
+        
+        // The selection pass needs vertex texture fetch; otherwise only the JS path exists
+        if (!rasterizer.selectionProgram) {
+            gpuSelection.checked = false;
+            gpuSelection.disabled = true;
+        }
+        
+        // Handle WebGL context loss
+        outputCanvas.addEventListener('webglcontextlost', (e) => {
+            e.preventDefault();
+            showWarning('WebGL context lost - attempting recovery...');
+            if (animationId) {
+                cancelAnimationFrame(animationId);
+                animationId = null;
+            }
+        });
+        
+        outputCanvas.addEventListener('webglcontextrestored', () => {
+            try {
+                rasterizer = new SpriteRasterizer(outputCanvas);
+                rasterizer.setSelectionMode(document.querySelector('input[name="matching"]:checked').value);
+                rasterizer.setBackgroundColor(canvasBgColor.value);
+                rasterizer.setTintMode(tintMode.value);
+                rasterizer.setDitherMode(ditherMode.value);
+                rasterizer.setTemporalCoherence(parseFloat(temporalStability.value), parseFloat(colorSmoothing.value));
+                rasterizer.setConstraints(...getConstraintValues());
+                rasterizer.setEdgeMode(edgeGlyphs.checked, parseFloat(edgeThreshold.value));
+                rasterizer.setBackgroundRemoval(backgroundRemoval.value, keyColor.value,
+                    parseFloat(keyTolerance.value), parseFloat(keySoftness.value));
+                rasterizer.setSamplingMode(samplingMode.value);
+                rasterizer.setLayout(getActiveLayout());
+                rasterizer.setAdaptive(adaptiveGrid.checked, parseFloat(detailThreshold.value));
+                rasterizer.setGpuSelectionEnabled(gpuSelection.checked);
+                rasterizer.setMosaic(importedMosaic);
+                rasterizer.setBackgroundPlate(backgroundPlate);
+                
+                if (getPaletteSize() >= 2) {
+                    startRendering();
+                }
+                
+                showSuccess('WebGL context restored successfully');
+            } catch (error) {
+                showError('Failed to restore WebGL context: ' + error.message);
+            }
+        });
+        
+    } catch (error) {
+        showError('Failed to initialize WebGL: ' + error.message);
+        console.error(error);
+    }
+}
+
+function startRendering() {
+    if (getPaletteSize() >= 2 && rasterizer) {
+        // Ensure we have a source before rendering (an imported mosaic needs none,
+        // and a new source would drop it)
+        if (!getActiveSource() && !importedMosaic) {
+            createDefaultTestPattern();
+        }
+        actuallyStartRendering();
+    }
+}
+
+function actuallyStartRendering() {
+    outputCanvas.classList.remove('hidden');
+    
+    // Prefer webcam if available, otherwise keep static image visible
+    if (webcamStream && webcam.srcObject) {
+        // We have a working webcam - use it for live video
+        webcam.classList.remove('hidden');  // Show webcam
+        // staticImage.classList.add('hidden'); // Hide static image
+        // sourceStatus.textContent = '🎥 Webcam';
+        resetSource.classList.add('hidden'); // Hide reset button
+    } else {
+        // No webcam - use static image (test pattern)
+        webcam.classList.add('hidden');     // Hide webcam
+        // staticImage.classList.remove('hidden'); // Show static image
+    }
+    
+    // Update texture atlas
+    rasterizer.updateAtlas(sprites).then(() => {
+        // Start render loop
+        renderLoop();
+    }).catch(error => {
+        console.error('Atlas creation failed:', error);
+        showError('Failed to create texture atlas: ' + error.message);
+    });
+}
+
+function stopRendering() {
+    outputCanvas.classList.add('hidden');
+    stopRecording();
+
+    
+    if (animationId) {
+        cancelAnimationFrame(animationId);
+        animationId = null;
+    }
+}
+
+// Priority: live webcam > file source (image, video, sequence, test pattern) > no source
+function getActiveSource() {
+    if (webcamStream && webcam.srcObject && !webcam.classList.contains('hidden')) {
+        // Use live webcam if available and not hidden
+        if (!webcamSource) {
+            webcamSource = new WebcamSource(webcam);
+        }
+        return webcamSource;
+    }
+    return fileSource;
+}
+
+// Frame size of a source, with a 320x240 fallback until it has a frame
+function getSourceDimensions(source) {
+    const { width, height } = source;
+    if (!width || !height) {
+        return { width: 320, height: 240 };
+    }
+    return { width, height };
+}
+
+function renderLoop(timestamp = 0) {
+    if (!rasterizer || !rasterizer.atlas) {
+        return;
+    }
+    
+    // Calculate FPS
+    frameCount++;
+    if (timestamp - lastFpsUpdate >= 500) {
+        const fps = Math.round((frameCount * 1000) / (timestamp - lastFpsUpdate));
+        fpsCounter.textContent = fps;
+        frameCount = 0;
+        lastFpsUpdate = timestamp;
+        updateUsageReport();
+    }
+    
+    // The offline video render drives the source and rasterizer itself
+    if (videoRender) {
+        animationId = requestAnimationFrame(renderLoop);
+        return;
+    }
+    
+    // Get current source (check which is the active input)
+    const source = getActiveSource();
+    updatePlaybackControls();
+    if (!source && !importedMosaic) {
+        // No valid source available - skip this frame
+        animationId = requestAnimationFrame(renderLoop);
+        return;
+    }
+    
+    // Performance optimization: skip render if source not ready
+    if (source && !source.isReady()) {
+        animationId = requestAnimationFrame(renderLoop);
+        return;
+    }
+    
+    // Performance optimization: limit large grid updates
+    const { width: gridW, height: gridH } = getCurrentGridDimensions();
+    const totalSprites = gridW * gridH;
+    
+    if (totalSprites > 250000) { // 500x500
+        // Reduce frame rate for very large grids
+        const now = performance.now();
+        if (now - lastFrameTime < 33.33) { // ~30fps max
+            animationId = requestAnimationFrame(renderLoop);
+            return;
+        }
+        lastFrameTime = now;
+    }
+    
+    // Render frame
+    try {
+        rasterizer.render(source, gridW, gridH);
+        
+    } catch (error) {
+        console.error('Render error:', error);
+        showError('Render error: ' + error.message);
+        
+        // Stop rendering on critical errors
+        if (error.message.includes('WebGL') || error.message.includes('context')) {
+            return;
+        }
+    }
+    
+    animationId = requestAnimationFrame(renderLoop);
+}
+
+//==============================================================================
+// OUTPUT EXPORT
+//==============================================================================
+
+// Filename-safe local timestamp, e.g. 2024-05-01_14-03-22
+function getExportTimestamp() {
+    const now = new Date();
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}_` +
+        `${pad(now.getHours())}-${pad(now.getMinutes())}-${pad(now.getSeconds())}`;
+}
+
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function canvasToBlob(canvas, type = 'image/png') {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob((blob) => {
+            if (blob) {
+                resolve(blob);
+            } else {
+                reject(new Error('Failed to create image blob'));
+            }
+        }, type);
+    });
+}
+
+// Cell size for offscreen exports: the normalized sprite size times the chosen scale
+function getExportCellSize() {
+    const scaleVal = parseFloat(exportScale.value);
+    return {
+        width: Math.max(1, Math.round(rasterizer.atlas.spriteWidth * scaleVal)),
+        height: Math.max(1, Math.round(rasterizer.atlas.spriteHeight * scaleVal))
+    };
+}
+
+async function exportPNG() {
+    if (!rasterizer || !rasterizer.atlas) {
+        showWarning('Add at least 2 sprites before exporting');
+        return;
+    }
+    
+    const source = getActiveSource();
+    if (!source && !importedMosaic) {
+        showWarning('No source to export');
+        return;
+    }
+    
+    const { width: gridW, height: gridH } = getCurrentGridDimensions();
+    const cell = getExportCellSize();
+    const size = getGridPixelSize(getActiveLayout(), gridW, gridH, cell.width, cell.height);
+    const background = exportBakeBackground.checked ? canvasBgColor.value : null;
+    
+    exportPngButton.disabled = true;
+    statusText.textContent = `Exporting ${size.width}x${size.height} PNG...`;
+    
+    try {
+        const canvas = rasterizer.renderToCanvas(source, gridW, gridH, cell.width, cell.height, background);
+        const blob = await canvasToBlob(canvas);
+        downloadBlob(blob, `sprite-rasterizer-${getExportTimestamp()}.png`);
+        showSuccess(`Exported ${canvas.width}x${canvas.height} PNG`);
+    } catch (error) {
+        showError('PNG export failed: ' + error.message);
+    } finally {
+        exportPngButton.disabled = false;
+        statusText.textContent = 'Rendering sprite rasterization...';
+    }
+}
+
+function escapeXml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Sprite image at its normalized size as a PNG data URI
+function getSpriteDataURL(sprite) {
+    const canvas = document.createElement('canvas');
+    canvas.width = sprite.normalizedWidth;
+    canvas.height = sprite.normalizedHeight;
+    canvas.getContext('2d').drawImage(sprite.image, 0, 0, canvas.width, canvas.height);
+    return canvas.toDataURL('image/png');
+}
+
+// <symbol> for one sprite. Text sprites become real <text> glyphs laid out like
+// createCharacterSpriteObject draws them; image sprites embed a data URI.
+// A layout polygon (GRID_LAYOUTS) clips the sprite to the cell shape.
+function createSvgSymbol(sprite, index, polygon = null, variant = null) {
+    const character = getSpriteCharacter(sprite);
+    const width = character !== null ? sprite.width : sprite.normalizedWidth;
+    const height = character !== null ? sprite.width : sprite.normalizedHeight;
+    
+    let content;
+    if (character !== null) {
+        content = `<text x="${width / 2}" y="${height / 2}" font-family="Arial, sans-serif" font-size="${width * 0.7}" ` +
+            `fill="${sprite.textColor}" text-anchor="middle" dominant-baseline="central">${escapeXml(character)}</text>`;
+    } else {
+        content = `<image width="${width}" height="${height}" preserveAspectRatio="none" xlink:href="${getSpriteDataURL(sprite)}"/>`;
+    }
+    
+    if (variant) {
+        // Same transform as drawSpriteVariant; quarter turns rescale to fill the swapped axes
+        const { rotate, flipX, flipY } = SPRITE_VARIANTS[variant];
+        const quarterTurn = rotate % 180 !== 0;
+        const scaleX = (quarterTurn ? height / width : 1) * (flipX ? -1 : 1);
+        const scaleY = (quarterTurn ? width / height : 1) * (flipY ? -1 : 1);
+        content = `<g transform="translate(${width / 2} ${height / 2}) rotate(${rotate}) scale(${scaleX} ${scaleY}) ` +
+            `translate(${-width / 2} ${-height / 2})">${content}</g>`;
+    }
+    
+    if (polygon) {
+        const points = polygon.map(([x, y]) => `${x * width},${y * height}`).join(' ');
+        content = `<clipPath id="sprite-${index}-shape"><polygon points="${points}"/></clipPath>` +
+            `<g clip-path="url(#sprite-${index}-shape)">${content}</g>`;
+    }
+    
+    return `<symbol id="sprite-${index}" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">${content}</symbol>`;
+}
+
+// Write the current sprite-index grid as SVG: each sprite used is defined once
+// as a <symbol> and every cell is a <use> at its grid position
+async function exportSVG() {
+    if (!rasterizer || !rasterizer.atlas) {
+        showWarning('Add at least 2 sprites before exporting');
+        return;
+    }
+    
+    const source = getActiveSource();
+    if (!source && !importedMosaic) {
+        showWarning('No source to export');
+        return;
+    }
+    
+    try {
+        const { width: gridW, height: gridH } = getCurrentGridDimensions();
+        const cell = getExportCellSize();
+        const { indices, leaves } = rasterizer.computeSpriteIndices(source, gridW, gridH);
+        const entries = rasterizer.atlas.entries;
+        const layout = getActiveLayout();
+        const { width, height } = getGridPixelSize(layout, gridW, gridH, cell.width, cell.height);
+        
+        const usedIndices = [...new Set(indices)].filter(index => index >= 0).sort((a, b) => a - b);
+        const symbols = usedIndices.map(index =>
+            createSvgSymbol(entries[index].sprite, index, GRID_LAYOUTS[layout].polygon, entries[index].variant));
+        
+        const cells = [];
+        if (leaves) {
+            // Adaptive mode: one <use> per quadtree leaf at its own size
+            for (let i = 0; i < leaves.indices.length; i++) {
+                if (leaves.indices[i] < 0) continue;
+                const [x, y, w, h] = leaves.rects.subarray(i * 4, i * 4 + 4);
+                cells.push(`<use xlink:href="#sprite-${leaves.indices[i]}" x="${x * cell.width}" y="${y * cell.height}" width="${w * cell.width}" height="${h * cell.height}"/>`);
+            }
+        } else {
+            for (let y = 0; y < gridH; y++) {
+                for (let x = 0; x < gridW; x++) {
+                    const index = indices[y * gridW + x];
+                    if (index < 0) continue;
+                    const origin = getCellOrigin(layout, x, y);
+                    cells.push(`<use xlink:href="#sprite-${index}" x="${origin.x * cell.width}" y="${origin.y * cell.height}" width="${cell.width}" height="${cell.height}"/>`);
+                }
+            }
+        }
+        
+        const background = exportBakeBackground.checked
+            ? `<rect width="${width}" height="${height}" fill="${canvasBgColor.value}"/>\n`
+            : '';
+        
+        const svg = '<?xml version="1.0" encoding="UTF-8"?>\n' +
+            `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" ` +
+            `width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">\n` +
+            `<defs>\n${symbols.join('\n')}\n</defs>\n` +
+            background +
+            `${cells.join('\n')}\n</svg>\n`;
+        
+        downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), `sprite-rasterizer-${getExportTimestamp()}.svg`);
+        showSuccess(`Exported ${gridW}x${gridH} SVG (${usedIndices.length} sprites)`);
+    } catch (error) {
+        showError('SVG export failed: ' + error.message);
+    }
+}
+
+const TEXT_EXPORT_FORMATS = {
+    text: { extension: 'txt', type: 'text/plain;charset=utf-8' },
+    ansi: { extension: 'ans', type: 'text/plain;charset=utf-8' },
+    html: { extension: 'html', type: 'text/html;charset=utf-8' }
+};
+
+function escapeHtml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+function rgbToHex(r, g, b) {
+    return '#' + [r, g, b].map(v => v.toString(16).padStart(2, '0')).join('');
+}
+
+// Build the current mosaic as plain UTF-8 text, ANSI truecolor escapes or a
+// standalone HTML <pre>. Colored formats use each cell's source color.
+function buildTextExport(format) {
+    const spriteList = getAllSprites();
+    if (!rasterizer || !rasterizer.atlas || !spriteList.every(isPlainTextSprite)) {
+        throw new Error('Text export needs a palette of text sprites only, without variants');
+    }
+    
+    const source = getActiveSource();
+    if (!source && !importedMosaic) {
+        throw new Error('No source to export');
+    }
+    
+    const { width: gridW, height: gridH } = getCurrentGridDimensions();
+    const { imageData, indices } = rasterizer.computeSpriteIndices(source, gridW, gridH);
+    const characters = rasterizer.atlas.entries.map(entry => getSpriteCharacter(entry.sprite));
+    const data = imageData.data;
+    const background = exportBakeBackground.checked ? hexToRgb(canvasBgColor.value) : null;
+    const lines = [];
+    
+    // Offset layouts put a space after every character and before odd rows,
+    // which shifts those rows by half a cell
+    const staggered = GRID_LAYOUTS[getActiveLayout()].rowOffset > 0;
+    const separator = staggered ? ' ' : '';
+    
+    for (let y = 0; y < gridH; y++) {
+        let line = staggered && y % 2 === 1 ? ' ' : '';
+        let currentColor = null;
+        let run = '';
+        
+        const flushRun = () => {
+            if (run) {
+                line += `<span style="color:${currentColor}">${escapeHtml(run)}</span>`;
+                run = '';
+            }
+        };
+        
+        for (let x = 0; x < gridW; x++) {
+            const i = y * gridW + x;
+            // Empty cells become spaces
+            const character = (indices[i] >= 0 ? characters[indices[i]] : ' ') + separator;
+            const r = data[i * 4];
+            const g = data[i * 4 + 1];
+            const b = data[i * 4 + 2];
+            
+            if (format === 'ansi') {
+                const color = `${r};${g};${b}`;
+                if (color !== currentColor) {
+                    line += `\x1b[38;2;${color}m`;
+                    currentColor = color;
+                }
+                line += character;
+            } else if (format === 'html') {
+                const color = rgbToHex(r, g, b);
+                if (color !== currentColor) {
+                    flushRun();
+                    currentColor = color;
+                }
+                run += character;
+            } else {
+                line += character;
+            }
+        }
+        
+        if (format === 'ansi') {
+            const backgroundCode = background ? `\x1b[48;2;${background.r};${background.g};${background.b}m` : '';
+            line = backgroundCode + line + '\x1b[0m';
+        } else if (format === 'html') {
+            flushRun();
+        }
+        
+        lines.push(line);
+    }
+    
+    if (format === 'html') {
+        const backgroundStyle = background ? `background:${canvasBgColor.value};` : '';
+        return '<!DOCTYPE html>\n<html>\n<head>\n<meta charset="UTF-8">\n<title>Sprite Rasterizer</title>\n</head>\n<body>\n' +
+            `<pre style="${backgroundStyle}font-family:monospace;line-height:1;">\n${lines.join('\n')}\n</pre>\n</body>\n</html>\n`;
+    }
+    
+    return lines.join('\n') + '\n';
+}
+
+async function copyTextExport() {
+    try {
+        await navigator.clipboard.writeText(buildTextExport(textExportFormat.value));
+        showSuccess('Copied mosaic to clipboard');
+    } catch (error) {
+        showError('Copy failed: ' + error.message);
+    }
+}
+
+function downloadTextExport() {
+    try {
+        const format = textExportFormat.value;
+        const { extension, type } = TEXT_EXPORT_FORMATS[format];
+        const content = buildTextExport(format);
+        downloadBlob(new Blob([content], { type }), `sprite-rasterizer-${getExportTimestamp()}.${extension}`);
+    } catch (error) {
+        showError('Text export failed: ' + error.message);
+    }
+}
+
+const MOSAIC_MAP_FORMAT = 'sprite-rasterizer-mosaic';
+// Version 2 adds rotated/flipped palette variants, version 3 empty cells (index -1)
+const MOSAIC_MAP_VERSION = 3;
+
+// Build the current rasterization (or that of another source) as a mosaic map:
+// grid size, per-cell sprite indices and source colors, the sprite palette and
+// the settings used
+function buildMosaicMap(source = getActiveSource()) {
+    if (!source && !importedMosaic) {
+        throw new Error('No source to export');
+    }
+    
+    const { width: gridW, height: gridH } = getCurrentGridDimensions();
+    const { imageData, indices } = rasterizer.computeSpriteIndices(source, gridW, gridH);
+    const data = imageData.data;
+    
+    const colors = [];
+    for (let i = 0; i < gridW * gridH; i++) {
+        colors.push([data[i * 4], data[i * 4 + 1], data[i * 4 + 2], data[i * 4 + 3]]);
+    }
+    
+    let aspectRatio;
+    if (importedMosaic) {
+        aspectRatio = importedMosaic.aspectRatio;
+    } else {
+        const { width, height } = getSourceDimensions(source);
+        aspectRatio = width / height;
+    }
+    
+    // One entry per atlas slot; variants point at their parent's entry instead of
+    // repeating its image
+    const entries = rasterizer.atlas.entries;
+    const palette = entries.map(({ sprite, variant }, i) => {
+        const average = rasterizer.atlas.spriteAverages[i];
+        
+        if (variant) {
+            const parent = entries.findIndex(entry => entry.sprite === sprite && entry.variant === null);
+            return { name: sprite.name, variant, parent, average };
+        }
+        
+        return {
+            name: sprite.name,
+            type: sprite.isTextSprite ? 'text' : 'image',
+            character: getSpriteCharacter(sprite),
+            textColor: sprite.isTextSprite ? sprite.textColor : null,
+            width: sprite.normalizedWidth,
+            height: sprite.normalizedHeight,
+            direction: sprite.isTextSprite ? null : getSpriteDirection(sprite),
+            average,
+            dataURL: getSpriteDataURL(sprite)
+        };
+    });
+    
+    return {
+        format: MOSAIC_MAP_FORMAT,
+        version: MOSAIC_MAP_VERSION,
+        grid: { width: gridW, height: gridH, aspectRatio },
+        indices: Array.from(indices),
+        colors,
+        palette,
+        settings: getCurrentSettings()
+    };
+}
+
+function exportMosaicMap() {
+    if (!rasterizer || !rasterizer.atlas) {
+        showWarning('Add at least 2 sprites before exporting');
+        return;
+    }
+    
+    try {
+        const map = buildMosaicMap();
+        const json = JSON.stringify(map);
+        downloadBlob(new Blob([json], { type: 'application/json' }), `sprite-rasterizer-${getExportTimestamp()}.json`);
+        showSuccess(`Exported ${map.grid.width}x${map.grid.height} mosaic map`);
+    } catch (error) {
+        showError('Mosaic map export failed: ' + error.message);
+    }
+}
+
+function validateMosaicMap(map) {
+    if (!map || map.format !== MOSAIC_MAP_FORMAT) {
+        throw new Error('Not a sprite rasterizer mosaic map');
+    }
+    if (map.version > MOSAIC_MAP_VERSION) {
+        throw new Error(`Unsupported mosaic map version ${map.version}`);
+    }
+    
+    const { width, height } = map.grid || {};
+    if (!Number.isInteger(width) || !Number.isInteger(height) || width < 1 || height < 1) {
+        throw new Error('Invalid grid dimensions');
+    }
+    if (!Array.isArray(map.indices) || map.indices.length !== width * height) {
+        throw new Error('Sprite index count does not match the grid');
+    }
+    if (!Array.isArray(map.colors) || map.colors.length !== width * height) {
+        throw new Error('Cell color count does not match the grid');
+    }
+    if (map.colors.some(color => !Array.isArray(color) || color.length !== 4 ||
+        color.some(channel => !Number.isInteger(channel) || channel < 0 || channel > 255))) {
+        throw new Error('Cell colors must be [r, g, b, a] with integers 0-255');
+    }
+    if (!Array.isArray(map.palette) || map.palette.length < 2 || map.palette.length > 32) {
+        throw new Error('Palette must contain 2-32 sprites');
+    }
+    if (map.indices.some(index => !Number.isInteger(index) || index < -1 || index >= map.palette.length)) {
+        throw new Error('Sprite index out of palette range');
+    }
+    
+    map.palette.forEach(entry => {
+        if (!entry || typeof entry !== 'object') {
+            throw new Error('Invalid palette entry');
+        }
+        
+        if (!entry.variant) {
+            if (entry.type === 'text') {
+                if (typeof entry.character !== 'string' || entry.character.length === 0) {
+                    throw new Error(`Text sprite without a character in palette: ${entry.name}`);
+                }
+            } else if (entry.type === 'image') {
+                if (typeof entry.dataURL !== 'string' || !entry.dataURL.startsWith('data:image/')) {
+                    throw new Error(`Image sprite without image data in palette: ${entry.name}`);
+                }
+            } else {
+                throw new Error(`Unknown sprite type in palette: ${entry.name}`);
+            }
+            return;
+        }
+        
+        const parent = map.palette[entry.parent];
+        if (!(entry.variant in SPRITE_VARIANTS) || !parent || parent.variant) {
+            throw new Error(`Invalid sprite variant in palette: ${entry.name}`);
+        }
+    });
+}
+
+async function dataURLToFile(dataURL, name) {
+    const response = await fetch(dataURL);
+    const blob = await response.blob();
+    return new File([blob], name, { type: blob.type });
+}
+
+// Replace the palette and settings with the ones in a mosaic map and render its
+// stored sprite indices without a source. Text sprites are recreated from their
+// characters so the text color can still be changed afterwards.
+async function importMosaicMap(map) {
+    validateMosaicMap(map);
+    
+    // Rebuild the parent sprites (image sprites first, as getAllSprites() lists them)
+    // into a new palette, then re-enable each variant on its parent. Nothing changes
+    // until every sprite has decoded, so a broken map leaves the current palette alone.
+    const imageEntries = [];
+    const textEntries = [];
+    map.palette.forEach((entry, i) => {
+        if (entry.variant) return;
+        (entry.type === 'text' ? textEntries : imageEntries).push(i);
+    });
+    
+    const rebuilt = new Map();
+    const newImageSprites = [];
+    const newTextSprites = [];
+    
+    for (const i of imageEntries) {
+        const entry = map.palette[i];
+        const sprite = await loadImageSprite(await dataURLToFile(entry.dataURL, entry.name), newImageSprites);
+        if (EDGE_DIRECTIONS.some(direction => direction.angle === entry.direction)) {
+            sprite.direction = entry.direction;
+        }
+        rebuilt.set(i, sprite);
+    }
+    
+    for (const i of textEntries) {
+        const sprite = await createCharacterSpriteObject(map.palette[i].character, [...newImageSprites, ...newTextSprites]);
+        newTextSprites.push(sprite);
+        rebuilt.set(i, sprite);
+    }
+    
+    map.palette.forEach(entry => {
+        if (!entry.variant) return;
+        const parent = rebuilt.get(entry.parent);
+        const variants = [...(parent.variants || []), entry.variant];
+        parent.variants = Object.keys(SPRITE_VARIANTS).filter(key => variants.includes(key));
+    });
+    
+    // A previous map's indices must not be drawn over the palette being swapped in
+    clearImportedMosaic();
+    applySettings(map.settings || {});
+    
+    imageSprites = newImageSprites;
+    textSprites = newTextSprites;
+    sprites = [];
+    document.getElementById('text-sprites').value = textEntries.map(i => map.palette[i].character).join('');
+    
+    // Map each stored palette index to the same sprite/variant in the new palette
+    const paletteEntries = getPaletteEntries();
+    const remap = map.palette.map((entry, i) => {
+        const sprite = rebuilt.get(entry.variant ? entry.parent : i);
+        const variant = entry.variant || null;
+        return paletteEntries.findIndex(candidate => candidate.sprite === sprite && candidate.variant === variant);
+    });
+    
+    updateSpriteGallery();
+    updateTotalSpriteCount();
+    
+    // One atlas rebuild for the whole palette, finished before its indices are drawn
+    if (rasterizer.atlas) {
+        await rasterizer.updateAtlas(getAllSprites());
+    }
+    
+    const { width, height, aspectRatio } = map.grid;
+    const colors = new Uint8ClampedArray(width * height * 4);
+    map.colors.forEach((color, i) => colors.set(color, i * 4));
+    
+    importedMosaic = {
+        width,
+        height,
+        aspectRatio: aspectRatio || width / height,
+        indices: map.indices.map(index => index < 0 ? -1 : remap[index]),
+        colors
+    };
+    rasterizer.setMosaic(importedMosaic);
+    
+    webcam.classList.add('hidden');
+    resetSource.classList.remove('hidden');
+    
+    updateGridDisplay();
+    checkRenderingConditions(true);
+}
+
+function clearImportedMosaic() {
+    if (!importedMosaic) return;
+    
+    importedMosaic = null;
+    if (rasterizer) {
+        rasterizer.setMosaic(null);
+    }
+    updateGridDisplay();
+}
+
+async function handleMosaicMapImport(e) {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    
+    try {
+        const map = JSON.parse(await file.text());
+        await importMosaicMap(map);
+        showSuccess(`Imported ${map.grid.width}x${map.grid.height} mosaic map`);
+    } catch (error) {
+        showError('Failed to import mosaic map: ' + error.message);
+    }
+}
+
+// Render frames offscreen at the export cell size and encode them into a looping
+// GIF in a worker. Live sources are sampled in real time for N seconds; static
+// sources produce N frames, optionally sweeping the posterization threshold.
+async function exportGIF() {
+    if (!rasterizer || !rasterizer.atlas) {
+        showWarning('Add at least 2 sprites before exporting');
+        return;
+    }
+    
+    const source = getActiveSource();
+    if (!source && !importedMosaic) {
+        showWarning('No source to export');
+        return;
+    }
+    
+    const { width: gridW, height: gridH } = getCurrentGridDimensions();
+    const cell = getExportCellSize();
+    const { width, height } = getGridPixelSize(getActiveLayout(), gridW, gridH, cell.width, cell.height);
+    
+    if (width > MAX_GIF_DIMENSION || height > MAX_GIF_DIMENSION) {
+        showError(`GIF too large: ${width}x${height}, max: ${MAX_GIF_DIMENSION}x${MAX_GIF_DIMENSION}. Use a smaller cell size.`);
+        return;
+    }
+    
+    const fps = parseInt(gifFps.value, 10);
+    const isLive = !importedMosaic && source.isLive;
+    const sweepThreshold = !isLive && gifSweep.value === 'threshold';
+    const frameTotal = isLive || sweepThreshold
+        ? Math.max(1, Math.round(parseFloat(gifSeconds.value) * fps))
+        : 1;
+    
+    const background = exportBakeBackground.checked ? canvasBgColor.value : null;
+    
+    // Tinted sprites take on source colors, so sample a rendered frame as well
+    let tintedPixels = null;
+    if (tintMode.value !== 'none') {
+        const preview = rasterizer.renderToCanvas(source, gridW, gridH, cell.width, cell.height, background);
+        tintedPixels = preview.getContext('2d').getImageData(0, 0, width, height).data;
+    }
+    const { palette, transparentIndex } = buildGifPalette(getAllSprites(), cell.width, cell.height, background, tintedPixels);
+    
+    const worker = createGifWorker();
+    const originalThreshold = threshold.value;
+    exportGifButton.disabled = true;
+    
+    try {
+        const done = new Promise((resolve, reject) => {
+            worker.onmessage = (e) => {
+                if (e.data.type === 'progress') {
+                    statusText.textContent = `Encoding GIF... ${e.data.frames}/${frameTotal} frames`;
+                } else if (e.data.type === 'done') {
+                    resolve(e.data.buffer);
+                }
+            };
+            worker.onerror = (e) => reject(new Error(e.message || 'GIF worker failed'));
+        });
+        
+        worker.postMessage({
+            type: 'start',
+            width,
+            height,
+            palette: palette.buffer,
+            transparentIndex,
+            delay: Math.round(100 / fps)
+        }, [palette.buffer]);
+        
+        const startTime = performance.now();
+        for (let i = 0; i < frameTotal; i++) {
+            if (isLive) {
+                // Wait for this frame's slot in real time
+                const wait = startTime + (i * 1000) / fps - performance.now();
+                if (wait > 0) {
+                    await new Promise(resolve => setTimeout(resolve, wait));
+                }
+            } else if (sweepThreshold) {
+                // Ping-pong 0 -> 1 -> 0 so the loop is seamless
+                const t = frameTotal > 1 ? i / frameTotal : 0;
+                threshold.value = (1 - Math.abs(2 * t - 1)).toFixed(2);
+                updateThreshold({ target: threshold });
+            }
+            
+            statusText.textContent = `Capturing GIF frame ${i + 1}/${frameTotal}...`;
+            const canvas = rasterizer.renderToCanvas(source, gridW, gridH, cell.width, cell.height, background);
+            const pixels = canvas.getContext('2d').getImageData(0, 0, width, height).data.buffer;
+            worker.postMessage({ type: 'frame', pixels }, [pixels]);
+        }
+        
+        worker.postMessage({ type: 'finish' });
+        const buffer = await done;
+        
+        downloadBlob(new Blob([buffer], { type: 'image/gif' }), `sprite-rasterizer-${getExportTimestamp()}.gif`);
+        showSuccess(`Exported ${width}x${height} GIF (${frameTotal} frames)`);
+    } catch (error) {
+        showError('GIF export failed: ' + error.message);
+    } finally {
+        threshold.value = originalThreshold;
+        updateThreshold({ target: threshold });
+        worker.terminate();
+        exportGifButton.disabled = false;
+        statusText.textContent = 'Rendering sprite rasterization...';
+    }
+}
+
+function getSupportedRecordingMimeType() {
+    const candidates = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+    return candidates.find(type => MediaRecorder.isTypeSupported(type)) || '';
+}
+
+function toggleRecording() {
+    if (mediaRecorder && mediaRecorder.state !== 'inactive') {
+        stopRecording();
+    } else {
+        startRecording();
+    }
+}
+
+function startRecording() {
+    if (!window.MediaRecorder || !outputCanvas.captureStream) {
+        showError('Recording is not supported in this browser');
+        return;
+    }
+    
+    if (!animationId) {
+        showWarning('Add at least 2 sprites before recording');
+        return;
+    }
+    
+    const fps = parseInt(recordFps.value, 10);
+    const stream = outputCanvas.captureStream(fps);
+    const filename = `sprite-rasterizer-${getExportTimestamp()}.webm`;
+    
+    try {
+        mediaRecorder = new MediaRecorder(stream, {
+            mimeType: getSupportedRecordingMimeType(),
+            videoBitsPerSecond: parseInt(recordBitrate.value, 10)
+        });
+    } catch (error) {
+        stream.getTracks().forEach(track => track.stop());
+        showError('Failed to start recording: ' + error.message);
+        return;
+    }
+    
+    recordedChunks = [];
+    mediaRecorder.ondataavailable = (e) => {
+        if (e.data && e.data.size > 0) {
+            recordedChunks.push(e.data);
+        }
+    };
+    
+    mediaRecorder.onstop = () => {
+        stream.getTracks().forEach(track => track.stop());
+        rasterizer.setCanvasFill(null);
+        
+        const blob = new Blob(recordedChunks, { type: 'video/webm' });
+        recordedChunks = [];
+        if (blob.size > 0) {
+            downloadBlob(blob, filename);
+            showSuccess(`Saved ${filename}`);
+        } else {
+            showError('Recording produced no video data');
+        }
+    };
+    
+    // Transparent canvas pixels would otherwise come out black in the video
+    rasterizer.setCanvasFill(exportBakeBackground.checked ? canvasBgColor.value : null);
+    
+    mediaRecorder.start(1000);
+    recordingStartTime = performance.now();
+    recordButton.textContent = '⏹ Stop Recording';
+    recordButton.classList.add('negative-button');
+    recordingTime.classList.remove('hidden');
+    updateRecordingTime();
+    recordingTimer = setInterval(updateRecordingTime, 500);
+}
+
+function stopRecording() {
+    if (mediaRecorder && mediaRecorder.state !== 'inactive') {
+        mediaRecorder.stop();
+    }
+    
+    clearInterval(recordingTimer);
+    recordingTimer = null;
+    recordButton.textContent = '⏺ Record WebM';
+    recordButton.classList.remove('negative-button');
+    recordingTime.classList.add('hidden');
+}
+
+function updateRecordingTime() {
+    const seconds = Math.floor((performance.now() - recordingStartTime) / 1000);
+    const minutes = Math.floor(seconds / 60);
+    recordingTime.textContent = `● ${String(minutes).padStart(2, '0')}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+// First WebM video codec the browser can encode at this size, or null
+async function getVideoEncoderConfig(width, height, fps) {
+    for (const codec of ['vp09.00.41.08', 'vp8']) {
+        const config = {
+            codec,
+            width,
+            height,
+            framerate: fps,
+            bitrate: parseInt(recordBitrate.value, 10)
+        };
+        try {
+            const { supported } = await VideoEncoder.isConfigSupported(config);
+            if (supported) {
+                return config;
+            }
+        } catch (error) {
+            // Rejected outright, try the next codec
+        }
+    }
+    return null;
+}
+
+// The source's audio for the offline render, trimmed to `duration` seconds, as a
+// WebMMuxer audio track plus its blocks ([{ time in ms, data }]) and whether it was
+// copied. Opus or Vorbis audio in a WebM is copied unchanged; anything else is
+// decoded with Web Audio and re-encoded to Opus. Returns null when there is no
+// audio to add, with a warning if audio had to be dropped.
+async function getSourceAudio(source, duration) {
+    if (!(source instanceof VideoFileSource)) {
+        return null;
+    }
+    
+    let data;
+    try {
+        data = await (await fetch(source.url)).arrayBuffer();
+    } catch (error) {
+        showWarning('Could not read the video file\'s audio, rendering without sound');
+        return null;
+    }
+    
+    try {
+        const copy = readWebMAudio(new Uint8Array(data), duration);
+        if (copy && !copy.track) {
+            return null; // a WebM without an audio track
+        }
+        if (copy) {
+            const audio = Object.assign({}, copy.track);
+            audio.blocks = copy.blocks;
+            audio.copied = true;
+            return audio;
+        }
+    } catch (error) {
+        console.warn('Could not copy the WebM audio track, re-encoding it:', error);
+    }
+    
+    return encodeSourceAudio(data, duration);
+}
+
+// Decode a video file's audio track with Web Audio and re-encode it as Opus,
+// trimmed to `duration` seconds (see getSourceAudio)
+async function encodeSourceAudio(data, duration) {
+    if (!window.AudioEncoder || !window.OfflineAudioContext) {
+        showWarning('This browser can\'t encode Opus audio, rendering without sound');
+        return null;
+    }
+    
+    let buffer;
+    try {
+        buffer = await new OfflineAudioContext(1, 1, VIDEO_RENDER_AUDIO_RATE).decodeAudioData(data);
+    } catch (error) {
+        showWarning('No audio could be decoded from this file, rendering without sound');
+        return null;
+    }
+    
+    try {
+        const channels = Math.min(2, buffer.numberOfChannels);
+        const config = {
+            codec: 'opus',
+            sampleRate: VIDEO_RENDER_AUDIO_RATE,
+            numberOfChannels: channels,
+            bitrate: 128000
+        };
+        const { supported } = await AudioEncoder.isConfigSupported(config);
+        if (!supported) {
+            showWarning('This browser can\'t encode Opus audio, rendering without sound');
+            return null;
+        }
+        
+        const blocks = [];
+        let description = null;
+        const encoder = new AudioEncoder({
+            output: (chunk, metadata) => {
+                const chunkData = new Uint8Array(chunk.byteLength);
+                chunk.copyTo(chunkData);
+                blocks.push({ time: Math.round(chunk.timestamp / 1000), data: chunkData });
+                if (metadata && metadata.decoderConfig && metadata.decoderConfig.description) {
+                    description = metadata.decoderConfig.description;
+                }
+            },
+            error: (error) => console.warn('Audio encoding failed:', error)
+        });
+        encoder.configure(config);
+        
+        // Feed one second of planar samples per AudioData
+        const sampleTotal = Math.min(buffer.length, Math.round(duration * VIDEO_RENDER_AUDIO_RATE));
+        for (let offset = 0; offset < sampleTotal; offset += VIDEO_RENDER_AUDIO_RATE) {
+            const length = Math.min(VIDEO_RENDER_AUDIO_RATE, sampleTotal - offset);
+            const planes = new Float32Array(length * channels);
+            for (let c = 0; c < channels; c++) {
+                planes.set(buffer.getChannelData(c).subarray(offset, offset + length), c * length);
+            }
+            
+            const audioData = new AudioData({
+                format: 'f32-planar',
+                sampleRate: VIDEO_RENDER_AUDIO_RATE,
+                numberOfFrames: length,
+                numberOfChannels: channels,
+                timestamp: Math.round((offset * 1e6) / VIDEO_RENDER_AUDIO_RATE),
+                data: planes
+            });
+            encoder.encode(audioData);
+            audioData.close();
+        }
+        
+        await encoder.flush();
+        encoder.close();
+        
+        const codecPrivate = description ? toUint8Array(description) : createOpusHead(channels, VIDEO_RENDER_AUDIO_RATE);
+        return {
+            codecId: 'A_OPUS',
+            sampleRate: VIDEO_RENDER_AUDIO_RATE,
+            channels,
+            codecPrivate,
+            codecDelay: getOpusCodecDelay(codecPrivate),
+            seekPreRoll: OPUS_SEEK_PRE_ROLL,
+            blocks,
+            copied: false
+        };
+    } catch (error) {
+        console.warn('Audio encoding failed:', error);
+        showWarning('Audio encoding failed, rendering without sound');
+        return null;
+    }
+}
+
+// Step through a video file or image sequence frame by frame, rasterize each
+// frame offscreen at the export cell size and encode it with WebCodecs into a
+// WebM, so big grids that can't keep up in real time still get every frame.
+// Progress, ETA and a cancel button show in the status bar.
+async function renderVideoFile() {
+    if (!rasterizer || !rasterizer.atlas) {
+        showWarning('Add at least 2 sprites before exporting');
+        return;
+    }
+    
+    if (!window.VideoEncoder || !window.VideoFrame) {
+        showError('Offline video rendering needs WebCodecs, which this browser does not support');
+        return;
+    }
+    
+    const source = getActiveSource();
+    if (importedMosaic || !source || !source.hasTimeline) {
+        showWarning('Load a video file or image sequence to render');
+        return;
+    }
+    
+    const { width: gridW, height: gridH } = getCurrentGridDimensions();
+    const cell = getExportCellSize();
+    const { width, height } = getGridPixelSize(getActiveLayout(), gridW, gridH, cell.width, cell.height);
+    const fps = parseInt(recordFps.value, 10);
+    const frameTotal = Math.max(1, Math.round(source.duration * fps));
+    const background = exportBakeBackground.checked ? canvasBgColor.value : null;
+    
+    const videoConfig = await getVideoEncoderConfig(width, height, fps);
+    if (!videoConfig) {
+        showError(`This browser can't encode ${width}x${height} WebM video. Use a smaller cell size.`);
+        return;
+    }
+    
+    const wasPaused = source.paused;
+    const originalTime = source.currentTime;
+    source.pause();
+    
+    const render = { cancelled: false };
+    videoRender = render;
+    renderVideoButton.disabled = true;
+    cancelRenderButton.classList.remove('hidden');
+    
+    let encoderError = null;
+    let encoder = null;
+    
+    try {
+        statusText.textContent = 'Reading audio...';
+        const audio = await getSourceAudio(source, frameTotal / fps);
+        
+        const muxer = new WebMMuxer(
+            { codecId: videoConfig.codec === 'vp8' ? 'V_VP8' : 'V_VP9', width, height },
+            audio
+        );
+        if (audio) {
+            audio.blocks.forEach(block => muxer.addBlock(WEBM_AUDIO_TRACK, block.time, true, block.data));
+        }
+        
+        encoder = new VideoEncoder({
+            output: (chunk) => muxer.addChunk(WEBM_VIDEO_TRACK, chunk),
+            error: (error) => encoderError = error
+        });
+        encoder.configure(videoConfig);
+        
+        const keyFrameInterval = fps * VIDEO_RENDER_KEYFRAME_SECONDS;
+        const startTime = performance.now();
+        
+        for (let i = 0; i < frameTotal && !render.cancelled; i++) {
+            if (source !== getActiveSource()) {
+                throw new Error('The source changed during rendering');
+            }
+            
+            // Sample the middle of each output frame's time slot
+            await source.seekExact((i + 0.5) / fps);
+            
+            const canvas = rasterizer.renderToCanvas(source, gridW, gridH, cell.width, cell.height, background);
+            const frame = new VideoFrame(canvas, {
+                timestamp: Math.round((i * 1e6) / fps),
+                duration: Math.round(1e6 / fps)
+            });
+            encoder.encode(frame, { keyFrame: i % keyFrameInterval === 0 });
+            frame.close();
+            
+            // Don't let unencoded frames pile up in memory
+            while (encoder.encodeQueueSize > 2 && !encoderError) {
+                await new Promise(resolve => setTimeout(resolve, 5));
+            }
+            if (encoderError) {
+                throw encoderError;
+            }
+            
+            const elapsed = (performance.now() - startTime) / 1000;
+            const remaining = (elapsed / (i + 1)) * (frameTotal - i - 1);
+            statusText.textContent = `Rendering video... frame ${i + 1}/${frameTotal} ` +
+                `(${Math.floor(((i + 1) / frameTotal) * 100)}%), ${formatPlaybackTime(remaining)} left`;
+        }
+        
+        if (render.cancelled) {
+            showWarning('Video render cancelled');
+            return;
+        }
+        
+        statusText.textContent = 'Finishing video...';
+        await encoder.flush();
+        
+        const blob = muxer.finalize((frameTotal / fps) * 1000);
+        downloadBlob(blob, `sprite-rasterizer-${getExportTimestamp()}.webm`);
+        showSuccess(`Rendered ${width}x${height} WebM (${frameTotal} frames${audio ? (audio.copied ? ', audio copied' : ', audio re-encoded to Opus') : ''})`);
+    } catch (error) {
+        showError('Video render failed: ' + error.message);
+    } finally {
+        if (encoder && encoder.state !== 'closed') {
+            encoder.close();
+        }
+        
+        videoRender = null;
+        renderVideoButton.disabled = false;
+        cancelRenderButton.classList.add('hidden');
+        statusText.textContent = 'Rendering sprite rasterization...';
+        
+        // Put playback back where it was, unless the source was replaced meanwhile
+        if (source === fileSource) {
+            source.seek(originalTime);
+            if (!wasPaused) {
+                source.play().catch(() => {});
+            }
+        }
+    }
+}
+
+function cancelVideoRender() {
+    if (videoRender) {
+        videoRender.cancelled = true;
+        statusText.textContent = 'Cancelling video render...';
+    }
+}
+
 //==============================================================================
-// RENDERING SYSTEM
+// BATCH PROCESSING
 //==============================================================================
-function initRasterizer() {
+
+function setupBatchModal() {
+    batchProcessButton.addEventListener('click', openBatchModal);
+    closeBatchButton.addEventListener('click', closeBatchModal);
+    startBatchButton.addEventListener('click', processBatch);
+    clearBatchButton.addEventListener('click', clearBatchJobs);
+    
+    // Click to browse; drops are routed here by handleSourceDrop while open
+    batchDropZone.addEventListener('click', () => {
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = 'image/*,.heic';
+        fileInput.multiple = true;
+        fileInput.onchange = (e) => addBatchFiles([...e.target.files]);
+        fileInput.click();
+    });
+}
+
+function openBatchModal() {
+    batchModal.classList.add('active');
+    updateBatchButtons();
+}
+
+function closeBatchModal() {
+    if (batchRunning) {
+        showWarning('Wait for the batch to finish');
+        return;
+    }
+    batchModal.classList.remove('active');
+}
+
+function addBatchFiles(files) {
+    if (batchRunning) return;
+    
+    const imageFiles = files.filter(isImageFile);
+    if (imageFiles.length < files.length) {
+        showWarning(`Skipped ${files.length - imageFiles.length} file(s) that are not images`);
+    }
+    
+    imageFiles.forEach(file => {
+        const row = document.createElement('div');
+        row.className = 'batch-row';
+        row.innerHTML = '<span class="batch-name"></span><span class="batch-status"></span>';
+        row.querySelector('.batch-name').textContent = file.name;
+        batchFileList.appendChild(row);
+        
+        const job = { file, status: 'queued', message: '', row };
+        setBatchJobStatus(job, 'queued', 'Queued');
+        batchJobs.push(job);
+    });
+    updateBatchButtons();
+}
+
+function clearBatchJobs() {
+    if (batchRunning) return;
+    
+    batchJobs = [];
+    batchFileList.innerHTML = '';
+    updateBatchButtons();
+}
+
+function setBatchJobStatus(job, status, message) {
+    job.status = status;
+    job.message = message;
+    job.row.className = `batch-row ${status}`;
+    job.row.querySelector('.batch-status').textContent = message;
+}
+
+function updateBatchButtons() {
+    const pending = batchJobs.filter(job => job.status !== 'done').length;
+    startBatchButton.disabled = batchRunning || pending === 0;
+    startBatchButton.textContent = pending > 0 ? `Process ${pending} image${pending === 1 ? '' : 's'}` : 'Process images';
+    clearBatchButton.disabled = batchRunning || batchJobs.length === 0;
+    closeBatchButton.disabled = batchRunning;
+}
+
+// Unique file name stem inside the ZIP: photo, photo-2, photo-3, ...
+function getBatchOutputName(fileName, usedNames) {
+    const stem = fileName.replace(/\.[^.]+$/, '') || 'image';
+    let name = stem;
+    for (let n = 2; usedNames.has(name); n++) {
+        name = `${stem}-${n}`;
+    }
+    usedNames.add(name);
+    return name;
+}
+
+// Run every queued image through the current settings offscreen, at the export
+// cell size, and download the PNGs (plus mosaic maps if chosen) as one ZIP.
+// Images that fail are marked in the list and left out of the ZIP.
+async function processBatch() {
+    if (!rasterizer || !rasterizer.atlas) {
+        showWarning('Add at least 2 sprites before exporting');
+        return;
+    }
+    
+    if (importedMosaic) {
+        showWarning('Remove the imported mosaic map before batch processing');
+        return;
+    }
+    
+    const pending = batchJobs.filter(job => job.status !== 'done');
+    if (pending.length === 0) return;
+    
+    const { width: gridW, height: gridH } = getCurrentGridDimensions();
+    const cell = getExportCellSize();
+    const background = exportBakeBackground.checked ? canvasBgColor.value : null;
+    const includeMaps = batchIncludeMaps.checked;
+    
+    const zip = new ZipWriter();
+    const usedNames = new Set();
+    let processed = 0;
+    
+    batchRunning = true;
+    updateBatchButtons();
+    // The plate belongs to the live source, not to the batch images
+    rasterizer.setBackgroundPlate(null);
+    
     try {
-        rasterizer = new SpriteRasterizer(outputCanvas);
-        rasterizer.setSelectionMode('color');
+        for (const [i, job] of pending.entries()) {
+            setBatchJobStatus(job, 'processing', 'Processing...');
+            statusText.textContent = `Batch processing ${i + 1}/${pending.length}: ${job.file.name}`;
+            
+            let source = null;
+            try {
+                const image = await createImageBitmap(await convertHEIC(job.file));
+                source = new ImageSource(image);
+                
+                const canvas = rasterizer.renderToCanvas(source, gridW, gridH, cell.width, cell.height, background);
+                const png = await canvasToBlob(canvas);
+                const name = getBatchOutputName(job.file.name, usedNames);
+                zip.add(`${name}.png`, new Uint8Array(await png.arrayBuffer()));
+                
+                if (includeMaps) {
+                    const map = buildMosaicMap(source);
+                    zip.add(`${name}.json`, new TextEncoder().encode(JSON.stringify(map)));
+                }
+                
+                setBatchJobStatus(job, 'done', `${canvas.width}x${canvas.height}`);
+                processed++;
+            } catch (error) {
+                setBatchJobStatus(job, 'failed', 'Failed: ' + error.message);
+            } finally {
+                if (source) {
+                    source.dispose();
+                }
+            }
+        }
+        
+        if (processed > 0) {
+            downloadBlob(zip.finalize(), `sprite-rasterizer-batch-${getExportTimestamp()}.zip`);
+        }
+        
+        const failed = pending.length - processed;
+        if (failed === 0) {
+            showSuccess(`Processed ${processed} image${processed === 1 ? '' : 's'}`);
+        } else if (processed > 0) {
+            showWarning(`Processed ${processed} of ${pending.length} images, ${failed} failed`);
+        } else {
+            showError('No images could be processed');
+        }
+    } catch (error) {
+        showError('Batch processing failed: ' + error.message);
+    } finally {
+        rasterizer.setBackgroundPlate(backgroundPlate);
+        batchRunning = false;
+        updateBatchButtons();
+        statusText.textContent = 'Rendering sprite rasterization...';
+    }
+}
+
+//==============================================================================
+// GIF ENCODER
+//==============================================================================
+
+// Worker body for GIF encoding. It is serialized into a Blob URL by
+// createGifWorker, so it must not reference anything outside this function.
+//
+// Messages in:  { type: 'start', width, height, palette, transparentIndex, delay }
+//               { type: 'frame', pixels }   (RGBA ArrayBuffer, width * height * 4)
+//               { type: 'finish' }
+// Messages out: { type: 'progress', frames } and { type: 'done', buffer }
+function gifEncoderWorker() {
+    let width = 0;
+    let height = 0;
+    let palette = null;
+    let transparentIndex = -1;
+    let delay = 10;
+    let colorCache = null;
+    const chunks = [];
+    
+    // LZW code table indexed by (prefix << 8) | index; stamps mark live entries so
+    // a table reset is just a new epoch instead of clearing 1M entries
+    const codeTable = new Int16Array(1 << 20);
+    const codeStamps = new Int32Array(1 << 20);
+    let epoch = 0;
+    
+    function writeBytes(bytes) {
+        chunks.push(bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes));
+    }
+    
+    function u16(value) {
+        return [value & 255, (value >> 8) & 255];
+    }
+    
+    function writeHeader() {
+        writeBytes([0x47, 0x49, 0x46, 0x38, 0x39, 0x61]); // GIF89a
+        
+        // Logical screen descriptor with a 256-entry global color table
+        writeBytes([...u16(width), ...u16(height), 0xF7, 0, 0]);
+        writeBytes(palette);
+        
+        // NETSCAPE2.0 application extension: loop forever
+        writeBytes([0x21, 0xFF, 0x0B, 0x4E, 0x45, 0x54, 0x53, 0x43, 0x41, 0x50, 0x45, 0x32, 0x2E, 0x30, 0x03, 0x01, 0, 0, 0]);
+    }
+    
+    function nearestPaletteIndex(r, g, b) {
+        let best = 0;
+        let bestDistance = Infinity;
+        for (let i = 0; i < 256; i++) {
+            if (i === transparentIndex) continue;
+            const dr = r - palette[i * 3];
+            const dg = g - palette[i * 3 + 1];
+            const db = b - palette[i * 3 + 2];
+            const distance = dr * dr + dg * dg + db * db;
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                best = i;
+            }
+        }
+        return best;
+    }
+    
+    function mapPixels(pixels) {
+        const indices = new Uint8Array(width * height);
+        for (let i = 0, p = 0; i < indices.length; i++, p += 4) {
+            if (transparentIndex >= 0 && pixels[p + 3] < 128) {
+                indices[i] = transparentIndex;
+                continue;
+            }
+            
+            const key = (pixels[p] << 16) | (pixels[p + 1] << 8) | pixels[p + 2];
+            let index = colorCache.get(key);
+            if (index === undefined) {
+                index = nearestPaletteIndex(pixels[p], pixels[p + 1], pixels[p + 2]);
+                colorCache.set(key, index);
+            }
+            indices[i] = index;
+        }
+        return indices;
+    }
+    
+    // Variable-length LZW as described in the GIF89a spec, packed into sub-blocks
+    function lzwEncode(indices, minCodeSize) {
+        const output = [];
+        let block = [];
+        let bitBuffer = 0;
+        let bitCount = 0;
+        
+        const clearCode = 1 << minCodeSize;
+        const eoiCode = clearCode + 1;
+        let codeSize = minCodeSize + 1;
+        let nextCode = eoiCode + 1;
+        
+        function emit(code) {
+            bitBuffer |= code << bitCount;
+            bitCount += codeSize;
+            while (bitCount >= 8) {
+                block.push(bitBuffer & 255);
+                bitBuffer >>>= 8;
+                bitCount -= 8;
+                if (block.length === 255) {
+                    output.push(255, ...block);
+                    block = [];
+                }
+            }
+        }
+        
+        epoch++;
+        emit(clearCode);
+        
+        let prefix = indices[0];
+        for (let i = 1; i < indices.length; i++) {
+            const k = indices[i];
+            const key = (prefix << 8) | k;
+            if (codeStamps[key] === epoch) {
+                prefix = codeTable[key];
+                continue;
+            }
+            
+            emit(prefix);
+            if (nextCode === 4096) {
+                // Table full: reset it
+                emit(clearCode);
+                nextCode = eoiCode + 1;
+                codeSize = minCodeSize + 1;
+                epoch++;
+            } else {
+                if (nextCode >= (1 << codeSize)) codeSize++;
+                codeTable[key] = nextCode++;
+                codeStamps[key] = epoch;
+            }
+            prefix = k;
+        }
+        
+        emit(prefix);
+        emit(eoiCode);
+        if (bitCount > 0) {
+            block.push(bitBuffer & 255);
+        }
+        if (block.length > 0) {
+            output.push(block.length, ...block);
+        }
+        output.push(0); // Block terminator
+        
+        return new Uint8Array(output);
+    }
+    
+    function writeFrame(pixels) {
+        const indices = mapPixels(pixels);
+        
+        // Graphic control extension; clear to background between frames when
+        // transparency is used so old sprites don't show through
+        const disposal = transparentIndex >= 0 ? 2 : 1;
+        const packed = (disposal << 2) | (transparentIndex >= 0 ? 1 : 0);
+        writeBytes([0x21, 0xF9, 0x04, packed, ...u16(delay), Math.max(0, transparentIndex), 0]);
         
-        // Handle WebGL context loss
-        outputCanvas.addEventListener('webglcontextlost', (e) => {
-            e.preventDefault();
-            showWarning('WebGL context lost - attempting recovery...');
-            if (animationId) {
-                cancelAnimationFrame(animationId);
-                animationId = null;
+        // Image descriptor (full frame, global color table)
+        writeBytes([0x2C, 0, 0, 0, 0, ...u16(width), ...u16(height), 0]);
+        writeBytes([8]); // LZW minimum code size for 256 colors
+        writeBytes(lzwEncode(indices, 8));
+    }
+    
+    let frameCount = 0;
+    
+    self.onmessage = (e) => {
+        const message = e.data;
+        
+        if (message.type === 'start') {
+            width = message.width;
+            height = message.height;
+            palette = new Uint8Array(message.palette);
+            transparentIndex = message.transparentIndex;
+            delay = message.delay;
+            colorCache = new Map();
+            writeHeader();
+        } else if (message.type === 'frame') {
+            writeFrame(new Uint8Array(message.pixels));
+            frameCount++;
+            self.postMessage({ type: 'progress', frames: frameCount });
+        } else if (message.type === 'finish') {
+            writeBytes([0x3B]); // Trailer
+            
+            const total = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+            const buffer = new Uint8Array(total);
+            let offset = 0;
+            for (const chunk of chunks) {
+                buffer.set(chunk, offset);
+                offset += chunk.length;
             }
-        });
+            self.postMessage({ type: 'done', buffer: buffer.buffer }, [buffer.buffer]);
+        }
+    };
+}
+
+function createGifWorker() {
+    const source = `(${gifEncoderWorker.toString()})();`;
+    const url = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+    const worker = new Worker(url);
+    URL.revokeObjectURL(url);
+    return worker;
+}
+
+// Median-cut quantization of a 15-bit color histogram down to maxColors entries
+function medianCutPalette(histogram, maxColors) {
+    const colors = [];
+    for (let key = 0; key < histogram.length; key++) {
+        if (histogram[key] > 0) {
+            colors.push({
+                r: ((key >> 10) & 31) * 8 + 4,
+                g: ((key >> 5) & 31) * 8 + 4,
+                b: (key & 31) * 8 + 4,
+                count: histogram[key]
+            });
+        }
+    }
+    
+    if (colors.length === 0) {
+        return [];
+    }
+    
+    const boxes = [colors];
+    
+    while (boxes.length < maxColors) {
+        // Split the box with the widest channel range
+        let boxIndex = -1;
+        let bestRange = 0;
+        let channel = 'r';
         
-        outputCanvas.addEventListener('webglcontextrestored', () => {
-            try {
-                rasterizer = new SpriteRasterizer(outputCanvas);
-                rasterizer.setSelectionMode(document.querySelector('input[name="matching"]:checked').value);
-                
-                if (sprites.length >= 2) {
-                    startRendering();
+        boxes.forEach((box, i) => {
+            if (box.length < 2) return;
+            for (const c of ['r', 'g', 'b']) {
+                let min = 255, max = 0;
+                for (const color of box) {
+                    min = Math.min(min, color[c]);
+                    max = Math.max(max, color[c]);
+                }
+                if (max - min > bestRange) {
+                    bestRange = max - min;
+                    boxIndex = i;
+                    channel = c;
                 }
-                
-                showSuccess('WebGL context restored successfully');
-            } catch (error) {
-                showError('Failed to restore WebGL context: ' + error.message);
             }
         });
         
-    } catch (error) {
-        showError('Failed to initialize WebGL: ' + error.message);
-        console.error(error);
+        if (boxIndex < 0) break;
+        
+        const box = boxes[boxIndex].sort((a, b) => a[channel] - b[channel]);
+        const total = box.reduce((sum, color) => sum + color.count, 0);
+        let running = 0;
+        let split = 1;
+        for (let i = 0; i < box.length - 1; i++) {
+            running += box[i].count;
+            if (running >= total / 2) {
+                split = i + 1;
+                break;
+            }
+        }
+        
+        boxes.splice(boxIndex, 1, box.slice(0, split), box.slice(split));
     }
+    
+    return boxes.map(box => {
+        const total = box.reduce((sum, color) => sum + color.count, 0);
+        return {
+            r: Math.round(box.reduce((sum, color) => sum + color.r * color.count, 0) / total),
+            g: Math.round(box.reduce((sum, color) => sum + color.g * color.count, 0) / total),
+            b: Math.round(box.reduce((sum, color) => sum + color.b * color.count, 0) / total)
+        };
+    });
 }
 
-function startRendering() {
-    if (sprites.length >= 2 && rasterizer) {
-        // Ensure we have a source before rendering
-        if (!webcamStream && !staticImage.src) {
-            createDefaultTestPattern();
-            // Wait a moment for the test pattern to load before starting
-            setTimeout(() => {
-                actuallyStartRendering();
-            }, 100);
-        } else {
-            actuallyStartRendering();
+// Global GIF palette built from the sprite atlas colors as they appear at the
+// export cell size, plus the background (or a transparent entry) at index 0.
+// extraPixels (RGBA) adds colors the atlas can't predict, e.g. tinted frames.
+function buildGifPalette(spriteList, cellWidth, cellHeight, backgroundColor, extraPixels = null) {
+    const histogram = new Uint32Array(1 << 15);
+    
+    const addPixels = (data) => {
+        for (let i = 0; i < data.length; i += 4) {
+            if (data[i + 3] < 128) continue;
+            histogram[((data[i] >> 3) << 10) | ((data[i + 1] >> 3) << 5) | (data[i + 2] >> 3)]++;
+        }
+    };
+    const canvas = document.createElement('canvas');
+    canvas.width = cellWidth;
+    canvas.height = cellHeight;
+    const ctx = canvas.getContext('2d');
+    
+    for (const sprite of spriteList) {
+        ctx.clearRect(0, 0, cellWidth, cellHeight);
+        if (backgroundColor) {
+            ctx.fillStyle = backgroundColor;
+            ctx.fillRect(0, 0, cellWidth, cellHeight);
         }
+        ctx.drawImage(sprite.image, 0, 0, cellWidth, cellHeight);
+        addPixels(ctx.getImageData(0, 0, cellWidth, cellHeight).data);
     }
-}
-
-function actuallyStartRendering() {
-    outputCanvas.classList.remove('hidden');
     
-    // Prefer webcam if available, otherwise keep static image visible
-    if (webcamStream && webcam.srcObject) {
-        // We have a working webcam - use it for live video
-        webcam.classList.remove('hidden');  // Show webcam
-        // staticImage.classList.add('hidden'); // Hide static image
-        // sourceStatus.textContent = '🎥 Webcam';
-        resetSource.classList.add('hidden'); // Hide reset button
-    } else {
-        // No webcam - use static image (test pattern)
-        webcam.classList.add('hidden');     // Hide webcam
-        // staticImage.classList.remove('hidden'); // Show static image
+    if (extraPixels) {
+        addPixels(extraPixels);
     }
     
-    // Update texture atlas
-    rasterizer.updateAtlas(sprites).then(() => {
-        // Start render loop
-        renderLoop();
-    }).catch(error => {
-        console.error('Atlas creation failed:', error);
-        showError('Failed to create texture atlas: ' + error.message);
+    const first = backgroundColor ? hexToRgb(backgroundColor) : { r: 0, g: 0, b: 0 };
+    const colors = [first, ...medianCutPalette(histogram, 255)];
+    
+    const palette = new Uint8Array(256 * 3);
+    colors.forEach((color, i) => {
+        palette.set([color.r, color.g, color.b], i * 3);
     });
+    
+    return {
+        palette,
+        transparentIndex: backgroundColor ? -1 : 0
+    };
 }
 
-function stopRendering() {
-    outputCanvas.classList.add('hidden');
-    
-    
-    if (animationId) {
-        cancelAnimationFrame(animationId);
-        animationId = null;
+//==============================================================================
+// WEBM MUXER
+//==============================================================================
+
+// Matroska element IDs written by WebMMuxer and read by readWebMAudio
+const WEBM_IDS = {
+    EBML: 0x1A45DFA3,
+    EBMLVersion: 0x4286,
+    EBMLReadVersion: 0x42F7,
+    EBMLMaxIDLength: 0x42F2,
+    EBMLMaxSizeLength: 0x42F3,
+    DocType: 0x4282,
+    DocTypeVersion: 0x4287,
+    DocTypeReadVersion: 0x4285,
+    Segment: 0x18538067,
+    SeekHead: 0x114D9B74,
+    Seek: 0x4DBB,
+    SeekID: 0x53AB,
+    SeekPosition: 0x53AC,
+    Info: 0x1549A966,
+    TimestampScale: 0x2AD7B1,
+    Duration: 0x4489,
+    MuxingApp: 0x4D80,
+    WritingApp: 0x5741,
+    Tracks: 0x1654AE6B,
+    TrackEntry: 0xAE,
+    TrackNumber: 0xD7,
+    TrackUID: 0x73C5,
+    TrackType: 0x83,
+    ContentEncodings: 0x6D80,
+    CodecID: 0x86,
+    CodecPrivate: 0x63A2,
+    CodecDelay: 0x56AA,
+    SeekPreRoll: 0x56BB,
+    Video: 0xE0,
+    PixelWidth: 0xB0,
+    PixelHeight: 0xBA,
+    Audio: 0xE1,
+    SamplingFrequency: 0xB5,
+    Channels: 0x9F,
+    Cluster: 0x1F43B675,
+    Timestamp: 0xE7,
+    SimpleBlock: 0xA3,
+    BlockGroup: 0xA0,
+    Block: 0xA1,
+    Cues: 0x1C53BB6B,
+    CuePoint: 0xBB,
+    CueTime: 0xB3,
+    CueTrackPositions: 0xB7,
+    CueTrack: 0xF7,
+    CueClusterPosition: 0xF1
+};
+
+const WEBM_VIDEO_TRACK = 1;
+const WEBM_AUDIO_TRACK = 2;
+
+// Blocks store their time as a signed 16-bit offset from the cluster timestamp
+const WEBM_MAX_CLUSTER_OFFSET = 32767;
+
+// Audio codecs WebM allows, which a source's track can be copied in
+const WEBM_AUDIO_CODECS = ['A_OPUS', 'A_VORBIS'];
+
+// Decoder pre-roll after a seek that Matroska recommends for Opus, in nanoseconds
+const OPUS_SEEK_PRE_ROLL = 80000000;
+
+// Big-endian unsigned integer, padded to `length` bytes if given
+function ebmlUintBytes(value, length = 0) {
+    const bytes = [];
+    do {
+        bytes.unshift(value % 256);
+        value = Math.floor(value / 256);
+    } while (value > 0);
+    while (bytes.length < length) {
+        bytes.unshift(0);
     }
+    return new Uint8Array(bytes);
 }
 
-function renderLoop(timestamp = 0) {
-    if (!rasterizer || !rasterizer.atlas) {
-        return;
+// Element size as an EBML variable-length integer (all ones is reserved for "unknown")
+function ebmlSize(size) {
+    let length = 1;
+    while (size >= 2 ** (7 * length) - 1) {
+        length++;
+    }
+    const bytes = ebmlUintBytes(size, length);
+    bytes[0] |= 1 << (8 - length);
+    return bytes;
+}
+
+function ebmlLength(chunks) {
+    return chunks.reduce((sum, chunk) => sum + chunk.byteLength, 0);
+}
+
+// Elements are lists of byte chunks, so encoded frames are referenced rather than
+// copied until the final Blob. `children` mixes chunk lists and Uint8Arrays.
+function ebmlElement(id, children) {
+    const chunks = children.flat();
+    return [ebmlUintBytes(id), ebmlSize(ebmlLength(chunks)), ...chunks];
+}
+
+function ebmlUint(id, value, length = 0) {
+    return ebmlElement(id, [ebmlUintBytes(value, length)]);
+}
+
+function ebmlFloat(id, value) {
+    const bytes = new Uint8Array(8);
+    new DataView(bytes.buffer).setFloat64(0, value);
+    return ebmlElement(id, [bytes]);
+}
+
+function ebmlString(id, text) {
+    return ebmlElement(id, [new TextEncoder().encode(text)]);
+}
+
+function toUint8Array(data) {
+    return ArrayBuffer.isView(data)
+        ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+        : new Uint8Array(data);
+}
+
+// Opus identification header (RFC 7845) for encoders that don't supply one
+function createOpusHead(channels, sampleRate) {
+    const head = new Uint8Array(19);
+    const view = new DataView(head.buffer);
+    head.set(new TextEncoder().encode('OpusHead'));
+    head[8] = 1; // version
+    head[9] = channels;
+    view.setUint16(10, 312, true); // pre-skip: libopus' encoder delay at 48 kHz
+    view.setUint32(12, sampleRate, true);
+    // Output gain 0 and channel mapping family 0 (mono or stereo) are left as zeros
+    return head;
+}
+
+// Matroska wants the Opus pre-skip again as a codec delay in nanoseconds
+function getOpusCodecDelay(opusHead) {
+    const preSkip = new DataView(opusHead.buffer, opusHead.byteOffset, opusHead.byteLength).getUint16(10, true);
+    return Math.round((preSkip * 1e9) / 48000);
+}
+
+// Minimal WebM writer for WebCodecs output: a VP8/VP9 video track, an optional
+// Opus or Vorbis audio track, a cluster per video keyframe and cues pointing at
+// them so players can seek. Chunks are collected in memory and written by finalize().
+//   video: { codecId, width, height }
+//   audio: { codecId, sampleRate, channels, codecPrivate, codecDelay, seekPreRoll }
+//          (delays in nanoseconds, 0 to leave them out) or null
+class WebMMuxer {
+    constructor(video, audio = null) {
+        this.video = video;
+        this.audio = audio;
+        this.blocks = [];
     }
     
-    // Calculate FPS
-    frameCount++;
-    if (timestamp - lastFpsUpdate >= 500) {
-        const fps = Math.round((frameCount * 1000) / (timestamp - lastFpsUpdate));
-        fpsCounter.textContent = fps;
-        frameCount = 0;
-        lastFpsUpdate = timestamp;
+    // Add an EncodedVideoChunk or EncodedAudioChunk to a track
+    addChunk(track, chunk) {
+        const data = new Uint8Array(chunk.byteLength);
+        chunk.copyTo(data);
+        this.addBlock(track, Math.round(chunk.timestamp / 1000), chunk.type === 'key', data);
     }
     
-    // Get current source (check which is the active input)
-    // Priority: live webcam > static image > no source
-    let sourceElement;
-    if (webcamStream && webcam.srcObject && !webcam.classList.contains('hidden')) {
-        // Use live webcam if available and not hidden
-        sourceElement = webcam;
-    } else if (staticImage.src) {
-        // Fall back to static image (test pattern or user image)
-        sourceElement = staticImage;
-    } else {
-        // No valid source available - skip this frame
-        animationId = requestAnimationFrame(renderLoop);
-        return;
+    // Add an already encoded frame to a track; `time` is in milliseconds
+    addBlock(track, time, keyFrame, data) {
+        this.blocks.push({ track, time, keyFrame, data });
     }
     
-    // Performance optimization: skip render if source not ready
-    if (sourceElement.tagName === 'VIDEO' && (sourceElement.readyState < 2 || sourceElement.videoWidth === 0)) {
-        animationId = requestAnimationFrame(renderLoop);
-        return;
+    // Write the file; `duration` is in milliseconds
+    finalize(duration) {
+        const ids = WEBM_IDS;
+        
+        const header = ebmlElement(ids.EBML, [
+            ebmlUint(ids.EBMLVersion, 1),
+            ebmlUint(ids.EBMLReadVersion, 1),
+            ebmlUint(ids.EBMLMaxIDLength, 4),
+            ebmlUint(ids.EBMLMaxSizeLength, 8),
+            ebmlString(ids.DocType, 'webm'),
+            ebmlUint(ids.DocTypeVersion, 4),
+            ebmlUint(ids.DocTypeReadVersion, 2)
+        ]);
+        
+        const info = ebmlElement(ids.Info, [
+            ebmlUint(ids.TimestampScale, 1000000), // timestamps in milliseconds
+            ebmlFloat(ids.Duration, duration),
+            ebmlString(ids.MuxingApp, 'Sprite Rasterizer'),
+            ebmlString(ids.WritingApp, 'Sprite Rasterizer')
+        ]);
+        
+        const tracks = ebmlElement(ids.Tracks, [this.createVideoTrack(), this.createAudioTrack()]);
+        const { clusters, cuePoints } = this.createClusters();
+        
+        // The seek head's positions are fixed at 8 bytes, so its size doesn't depend
+        // on them and every offset can be computed before it is written
+        const createSeekHead = (positions) => ebmlElement(ids.SeekHead,
+            [[ids.Info, positions.info], [ids.Tracks, positions.tracks], [ids.Cues, positions.cues]]
+                .map(([id, position]) => ebmlElement(ids.Seek, [
+                    ebmlElement(ids.SeekID, [ebmlUintBytes(id)]),
+                    ebmlUint(ids.SeekPosition, position, 8)
+                ]))
+        );
+        
+        // Positions are relative to the start of the segment's data
+        const infoPosition = ebmlLength(createSeekHead({ info: 0, tracks: 0, cues: 0 }));
+        const tracksPosition = infoPosition + ebmlLength(info);
+        let position = tracksPosition + ebmlLength(tracks);
+        const clusterPositions = clusters.map(cluster => {
+            const start = position;
+            position += ebmlLength(cluster);
+            return start;
+        });
+        
+        const cues = ebmlElement(ids.Cues, cuePoints.map(({ time, cluster }) => ebmlElement(ids.CuePoint, [
+            ebmlUint(ids.CueTime, time),
+            ebmlElement(ids.CueTrackPositions, [
+                ebmlUint(ids.CueTrack, WEBM_VIDEO_TRACK),
+                ebmlUint(ids.CueClusterPosition, clusterPositions[cluster])
+            ])
+        ])));
+        
+        const seekHead = createSeekHead({ info: infoPosition, tracks: tracksPosition, cues: position });
+        const segment = ebmlElement(ids.Segment, [seekHead, info, tracks, ...clusters, cues]);
+        
+        return new Blob([...header, ...segment], { type: 'video/webm' });
     }
     
-    // Performance optimization: limit large grid updates
-    const { width: gridW, height: gridH } = getCurrentGridDimensions();
-    const totalSprites = gridW * gridH;
+    createVideoTrack() {
+        const ids = WEBM_IDS;
+        return ebmlElement(ids.TrackEntry, [
+            ebmlUint(ids.TrackNumber, WEBM_VIDEO_TRACK),
+            ebmlUint(ids.TrackUID, WEBM_VIDEO_TRACK),
+            ebmlUint(ids.TrackType, 1),
+            ebmlString(ids.CodecID, this.video.codecId),
+            ebmlElement(ids.Video, [
+                ebmlUint(ids.PixelWidth, this.video.width),
+                ebmlUint(ids.PixelHeight, this.video.height)
+            ])
+        ]);
+    }
     
-    if (totalSprites > 250000) { // 500x500
-        // Reduce frame rate for very large grids
-        const now = performance.now();
-        if (now - lastFrameTime < 33.33) { // ~30fps max
-            animationId = requestAnimationFrame(renderLoop);
-            return;
+    createAudioTrack() {
+        if (!this.audio) {
+            return [];
         }
-        lastFrameTime = now;
+        
+        const ids = WEBM_IDS;
+        const { codecId, sampleRate, channels, codecPrivate, codecDelay, seekPreRoll } = this.audio;
+        
+        return ebmlElement(ids.TrackEntry, [
+            ebmlUint(ids.TrackNumber, WEBM_AUDIO_TRACK),
+            ebmlUint(ids.TrackUID, WEBM_AUDIO_TRACK),
+            ebmlUint(ids.TrackType, 2),
+            ebmlString(ids.CodecID, codecId),
+            ebmlElement(ids.CodecPrivate, [codecPrivate]),
+            codecDelay ? ebmlUint(ids.CodecDelay, codecDelay) : [],
+            seekPreRoll ? ebmlUint(ids.SeekPreRoll, seekPreRoll) : [],
+            ebmlElement(ids.Audio, [
+                ebmlFloat(ids.SamplingFrequency, sampleRate),
+                ebmlUint(ids.Channels, channels)
+            ])
+        ]);
     }
     
-    // Render frame
-    try {
-        rasterizer.render(sourceElement, gridW, gridH);
+    // Interleave both tracks by time and start a cluster at every video keyframe
+    // (or when block offsets would overflow). Returns the clusters and a cue point
+    // ({ time, cluster index }) for each one that opens with a keyframe.
+    createClusters() {
+        const ids = WEBM_IDS;
+        const blocks = [...this.blocks].sort((a, b) => a.time - b.time || a.track - b.track);
         
-    } catch (error) {
-        console.error('Render error:', error);
-        showError('Render error: ' + error.message);
+        const groups = [];
+        let current = null;
+        for (const block of blocks) {
+            const isVideoKey = block.track === WEBM_VIDEO_TRACK && block.keyFrame;
+            if (!current || isVideoKey || block.time - current.time > WEBM_MAX_CLUSTER_OFFSET) {
+                current = { time: block.time, keyFrame: isVideoKey, blocks: [] };
+                groups.push(current);
+            }
+            
+            const blockHeader = new Uint8Array(4);
+            blockHeader[0] = 0x80 | block.track; // track number as a 1-byte vint
+            new DataView(blockHeader.buffer).setInt16(1, block.time - current.time);
+            blockHeader[3] = block.keyFrame ? 0x80 : 0;
+            current.blocks.push(ebmlElement(ids.SimpleBlock, [blockHeader, block.data]));
+        }
         
-        // Stop rendering on critical errors
-        if (error.message.includes('WebGL') || error.message.includes('context')) {
-            return;
+        const clusters = groups.map(group =>
+            ebmlElement(ids.Cluster, [ebmlUint(ids.Timestamp, group.time), ...group.blocks]));
+        const cuePoints = groups
+            .map((group, index) => ({ time: group.time, cluster: index, keyFrame: group.keyFrame }))
+            .filter(point => point.keyFrame);
+        
+        return { clusters, cuePoints };
+    }
+}
+
+// EBML variable-length integer at `offset` as { value, length, unknown }. Element
+// IDs keep their length marker bit (`keepMarker`); sizes with every value bit set
+// are "unknown".
+function readEbmlVint(bytes, offset, keepMarker = false) {
+    const first = bytes[offset];
+    let length = 1;
+    while (length <= 8 && !(first & (0x100 >> length))) {
+        length++;
+    }
+    if (length > 8 || offset + length > bytes.length) {
+        throw new Error('Invalid EBML integer');
+    }
+    
+    let value = keepMarker ? first : first & (0xFF >> length);
+    let allOnes = (first & (0xFF >> length)) === (0xFF >> length);
+    for (let i = 1; i < length; i++) {
+        value = value * 256 + bytes[offset + i];
+        allOnes = allOnes && bytes[offset + i] === 0xFF;
+    }
+    return { value, length, unknown: !keepMarker && allOnes };
+}
+
+// Child elements of bytes[start, end) as { id, start, end } data ranges
+function readEbmlChildren(bytes, start, end) {
+    const children = [];
+    let offset = start;
+    while (offset < end) {
+        const id = readEbmlVint(bytes, offset, true);
+        const size = readEbmlVint(bytes, offset + id.length);
+        const dataStart = offset + id.length + size.length;
+        const dataEnd = size.unknown ? end : Math.min(end, dataStart + size.value);
+        children.push({ id: id.value, start: dataStart, end: dataEnd });
+        offset = dataEnd;
+    }
+    return children;
+}
+
+function readEbmlUint(bytes, element) {
+    let value = 0;
+    for (let i = element.start; i < element.end; i++) {
+        value = value * 256 + bytes[i];
+    }
+    return value;
+}
+
+function readEbmlFloat(bytes, element) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset + element.start, element.end - element.start);
+    return view.byteLength === 4 ? view.getFloat32(0) : view.getFloat64(0);
+}
+
+// First audio TrackEntry in a Tracks element as { number, codecId, sampleRate,
+// channels, codecPrivate, codecDelay, seekPreRoll, encoded }, or null
+function readWebMAudioTrackEntry(bytes, tracks) {
+    const ids = WEBM_IDS;
+    for (const entry of readEbmlChildren(bytes, tracks.start, tracks.end)) {
+        if (entry.id !== ids.TrackEntry) continue;
+        
+        const track = { type: 0, number: 0, codecId: '', sampleRate: 8000, channels: 1,
+            codecPrivate: null, codecDelay: 0, seekPreRoll: 0, encoded: false };
+        for (const field of readEbmlChildren(bytes, entry.start, entry.end)) {
+            if (field.id === ids.TrackType) {
+                track.type = readEbmlUint(bytes, field);
+            } else if (field.id === ids.TrackNumber) {
+                track.number = readEbmlUint(bytes, field);
+            } else if (field.id === ids.CodecID) {
+                track.codecId = new TextDecoder().decode(bytes.subarray(field.start, field.end)).replace(/\0+$/, '');
+            } else if (field.id === ids.CodecPrivate) {
+                track.codecPrivate = bytes.slice(field.start, field.end);
+            } else if (field.id === ids.CodecDelay) {
+                track.codecDelay = readEbmlUint(bytes, field);
+            } else if (field.id === ids.SeekPreRoll) {
+                track.seekPreRoll = readEbmlUint(bytes, field);
+            } else if (field.id === ids.ContentEncodings) {
+                track.encoded = true; // compressed or encrypted frames can't be copied
+            } else if (field.id === ids.Audio) {
+                for (const audioField of readEbmlChildren(bytes, field.start, field.end)) {
+                    if (audioField.id === ids.SamplingFrequency) {
+                        track.sampleRate = readEbmlFloat(bytes, audioField);
+                    } else if (audioField.id === ids.Channels) {
+                        track.channels = readEbmlUint(bytes, audioField);
+                    }
+                }
+            }
+        }
+        
+        if (track.type === 2) {
+            return track;
         }
     }
+    return null;
+}
+
+// Copy the Opus or Vorbis track of a WebM (or Matroska) file for the offline
+// render, up to `duration` seconds. Returns { track, blocks } with track shaped
+// for WebMMuxer (track is null when the file has no audio) and block times in
+// milliseconds, or null when the audio can't be copied: not Matroska, another
+// codec, or laced or encoded blocks.
+function readWebMAudio(bytes, duration) {
+    const ids = WEBM_IDS;
+    if (bytes.length < 4 || new DataView(bytes.buffer, bytes.byteOffset, 4).getUint32(0) !== ids.EBML) {
+        return null;
+    }
     
-    animationId = requestAnimationFrame(renderLoop);
+    let timestampScale = 1000000;
+    let track = null;
+    let clusterTime = 0;
+    const blocks = [];
+    const limit = duration * 1000;
+    
+    // Returns false for laced blocks, which would need splitting
+    const readBlock = (start, end) => {
+        const number = readEbmlVint(bytes, start);
+        if (number.value !== track.number) return true;
+        
+        const header = start + number.length;
+        if (bytes[header + 2] & 0x06) return false;
+        
+        const timecode = new DataView(bytes.buffer, bytes.byteOffset + header, 2).getInt16(0);
+        const time = Math.round(((clusterTime + timecode) * timestampScale) / 1000000);
+        if (time >= 0 && time < limit) {
+            blocks.push({ time, data: bytes.subarray(header + 3, end) });
+        }
+        return true;
+    };
+    
+    let offset = 0;
+    while (offset < bytes.length) {
+        const id = readEbmlVint(bytes, offset, true);
+        const size = readEbmlVint(bytes, offset + id.length);
+        const start = offset + id.length + size.length;
+        
+        // Step into the segment and its clusters (often of unknown size when
+        // recorded live) and read their children as if they were top level
+        if (id.value === ids.Segment || id.value === ids.Cluster) {
+            if (id.value === ids.Cluster) {
+                clusterTime = 0;
+            }
+            offset = start;
+            continue;
+        }
+        
+        if (size.unknown) {
+            return null;
+        }
+        const end = start + size.value;
+        if (end > bytes.length) {
+            break; // truncated file, keep what was read
+        }
+        const element = { id: id.value, start, end };
+        
+        if (id.value === ids.Info) {
+            for (const field of readEbmlChildren(bytes, start, end)) {
+                if (field.id === ids.TimestampScale) {
+                    timestampScale = readEbmlUint(bytes, field);
+                }
+            }
+        } else if (id.value === ids.Tracks) {
+            track = readWebMAudioTrackEntry(bytes, element);
+            if (!track) {
+                return { track: null, blocks };
+            }
+            if (!WEBM_AUDIO_CODECS.includes(track.codecId) || track.encoded || !track.codecPrivate) {
+                return null;
+            }
+        } else if (id.value === ids.Timestamp) {
+            clusterTime = readEbmlUint(bytes, element);
+        } else if (track && id.value === ids.SimpleBlock) {
+            if (!readBlock(start, end)) return null;
+        } else if (track && id.value === ids.BlockGroup) {
+            for (const child of readEbmlChildren(bytes, start, end)) {
+                if (child.id === ids.Block && !readBlock(child.start, child.end)) return null;
+            }
+        }
+        
+        offset = end;
+    }
+    
+    if (!track) {
+        return null;
+    }
+    
+    return {
+        track: {
+            codecId: track.codecId,
+            sampleRate: track.sampleRate,
+            channels: track.channels,
+            codecPrivate: track.codecPrivate,
+            codecDelay: track.codecId === 'A_OPUS' && !track.codecDelay
+                ? getOpusCodecDelay(track.codecPrivate)
+                : track.codecDelay,
+            seekPreRoll: track.codecId === 'A_OPUS' ? (track.seekPreRoll || OPUS_SEEK_PRE_ROLL) : track.seekPreRoll
+        },
+        blocks
+    };
+}
+
+//==============================================================================
+// ZIP WRITER
+//==============================================================================
+
+// CRC-32 (IEEE 802.3) lookup table, built on first use
+let crc32Table = null;
+
+function crc32(bytes) {
+    if (!crc32Table) {
+        crc32Table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crc32Table[n] = c;
+        }
+    }
+    
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crc32Table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// Date and time in MS-DOS format as stored in ZIP headers (2-second resolution)
+function getDosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+// Store-only ZIP archive writer. PNGs are already compressed, so entries are
+// stored uncompressed; names are flagged as UTF-8. No ZIP64, so the archive
+// must stay under 4 GB.
+class ZipWriter {
+    constructor() {
+        this.chunks = [];
+        this.entries = [];
+        this.offset = 0;
+    }
+    
+    add(name, data, date = new Date()) {
+        const nameBytes = new TextEncoder().encode(name);
+        const { time, date: dosDate } = getDosDateTime(date);
+        const entry = { nameBytes, crc: crc32(data), size: data.length, time, dosDate, offset: this.offset };
+        
+        if (this.entries.length >= 0xFFFF || this.offset + 30 + nameBytes.length + data.length > 0xFFFFFFFF) {
+            throw new Error('ZIP archive too large');
+        }
+        
+        const header = new Uint8Array(30 + nameBytes.length);
+        const view = new DataView(header.buffer);
+        view.setUint32(0, 0x04034B50, true); // local file header signature
+        view.setUint16(4, 20, true);         // version needed to extract (2.0)
+        view.setUint16(6, 0x0800, true);     // UTF-8 file name
+        view.setUint16(8, 0, true);          // stored
+        view.setUint16(10, time, true);
+        view.setUint16(12, dosDate, true);
+        view.setUint32(14, entry.crc, true);
+        view.setUint32(18, entry.size, true); // compressed size
+        view.setUint32(22, entry.size, true); // uncompressed size
+        view.setUint16(26, nameBytes.length, true);
+        view.setUint16(28, 0, true);          // extra field length
+        header.set(nameBytes, 30);
+        
+        this.chunks.push(header, data);
+        this.entries.push(entry);
+        this.offset += header.length + data.length;
+    }
+    
+    // Append the central directory and return the archive
+    finalize() {
+        const directoryOffset = this.offset;
+        let directorySize = 0;
+        
+        for (const entry of this.entries) {
+            const record = new Uint8Array(46 + entry.nameBytes.length);
+            const view = new DataView(record.buffer);
+            view.setUint32(0, 0x02014B50, true); // central directory header signature
+            view.setUint16(4, 20, true);         // version made by
+            view.setUint16(6, 20, true);         // version needed to extract
+            view.setUint16(8, 0x0800, true);
+            view.setUint16(10, 0, true);
+            view.setUint16(12, entry.time, true);
+            view.setUint16(14, entry.dosDate, true);
+            view.setUint32(16, entry.crc, true);
+            view.setUint32(20, entry.size, true);
+            view.setUint32(24, entry.size, true);
+            view.setUint16(28, entry.nameBytes.length, true);
+            // Extra field, comment, disk number and attributes (30-41) stay zero
+            view.setUint32(42, entry.offset, true);
+            record.set(entry.nameBytes, 46);
+            
+            this.chunks.push(record);
+            directorySize += record.length;
+        }
+        
+        const end = new Uint8Array(22);
+        const view = new DataView(end.buffer);
+        view.setUint32(0, 0x06054B50, true); // end of central directory signature
+        view.setUint16(8, this.entries.length, true);
+        view.setUint16(10, this.entries.length, true);
+        view.setUint32(12, directorySize, true);
+        view.setUint32(16, directoryOffset, true);
+        this.chunks.push(end);
+        
+        return new Blob(this.chunks, { type: 'application/zip' });
+    }
 }
 
 //==============================================================================